@@ -0,0 +1,16 @@
+-- CompatibilityRule ab tak sirf `db push` se bana tha (koi migration nahi); history ko schema ke saath sync karne ke liye
+
+-- CreateTable
+CREATE TABLE "CompatibilityRule" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "appliesTo" TEXT[],
+    "logic" JSONB NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CompatibilityRule_pkey" PRIMARY KEY ("id")
+);
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "PriceSnapshot" (
+    "id" TEXT NOT NULL,
+    "offerId" TEXT,
+    "componentId" TEXT NOT NULL,
+    "vendor" TEXT NOT NULL,
+    "price" INTEGER NOT NULL,
+    "effective_price" INTEGER,
+    "in_stock" BOOLEAN NOT NULL,
+    "capturedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PriceSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PriceSnapshot_componentId_capturedAt_idx" ON "PriceSnapshot"("componentId", "capturedAt");
+
+-- CreateIndex
+CREATE INDEX "PriceSnapshot_offerId_capturedAt_idx" ON "PriceSnapshot"("offerId", "capturedAt");
+
+-- AddForeignKey
+ALTER TABLE "PriceSnapshot" ADD CONSTRAINT "PriceSnapshot_offerId_fkey" FOREIGN KEY ("offerId") REFERENCES "Offer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PriceSnapshot" ADD CONSTRAINT "PriceSnapshot_componentId_fkey" FOREIGN KEY ("componentId") REFERENCES "Component"("id") ON DELETE CASCADE ON UPDATE CASCADE;
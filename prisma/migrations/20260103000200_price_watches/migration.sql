@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "PriceWatch" (
+    "id" TEXT NOT NULL,
+    "componentId" TEXT NOT NULL,
+    "targetPrice" INTEGER NOT NULL,
+    "vendor" TEXT,
+    "label" TEXT,
+    "channel" TEXT NOT NULL DEFAULT 'webhook',
+    "destination" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastAlertedPrice" INTEGER,
+    "lastAlertedAt" TIMESTAMP(3),
+    "armedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PriceWatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AlertOutbox" (
+    "id" TEXT NOT NULL,
+    "watchId" TEXT NOT NULL,
+    "componentId" TEXT NOT NULL,
+    "offerId" TEXT,
+    "vendor" TEXT NOT NULL,
+    "price" INTEGER NOT NULL,
+    "targetPrice" INTEGER NOT NULL,
+    "channel" TEXT NOT NULL,
+    "destination" TEXT,
+    "payload" JSONB NOT NULL,
+    "dedupKey" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentAt" TIMESTAMP(3),
+
+    CONSTRAINT "AlertOutbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PriceWatch_componentId_idx" ON "PriceWatch"("componentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AlertOutbox_dedupKey_key" ON "AlertOutbox"("dedupKey");
+
+-- CreateIndex
+CREATE INDEX "AlertOutbox_status_createdAt_idx" ON "AlertOutbox"("status", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PriceWatch" ADD CONSTRAINT "PriceWatch_componentId_fkey" FOREIGN KEY ("componentId") REFERENCES "Component"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AlertOutbox" ADD CONSTRAINT "AlertOutbox_watchId_fkey" FOREIGN KEY ("watchId") REFERENCES "PriceWatch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE "ScrapeRun" (
+    "id" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "componentId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'RUNNING',
+    "totalLinks" INTEGER NOT NULL DEFAULT 0,
+    "succeeded" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ScrapeRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ScrapeAttempt" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "externalIdId" TEXT,
+    "componentId" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "failureCategory" TEXT,
+    "vendor" TEXT,
+    "price" INTEGER,
+    "inStock" BOOLEAN,
+    "retries" INTEGER NOT NULL DEFAULT 0,
+    "durationMs" INTEGER NOT NULL,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ScrapeAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ScrapeRun_startedAt_idx" ON "ScrapeRun"("startedAt");
+
+-- CreateIndex
+CREATE INDEX "ScrapeAttempt_runId_idx" ON "ScrapeAttempt"("runId");
+
+-- CreateIndex
+CREATE INDEX "ScrapeAttempt_externalIdId_createdAt_idx" ON "ScrapeAttempt"("externalIdId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ScrapeAttempt" ADD CONSTRAINT "ScrapeAttempt_runId_fkey" FOREIGN KEY ("runId") REFERENCES "ScrapeRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScrapeAttempt" ADD CONSTRAINT "ScrapeAttempt_externalIdId_fkey" FOREIGN KEY ("externalIdId") REFERENCES "ExternalId"("id") ON DELETE SET NULL ON UPDATE CASCADE;
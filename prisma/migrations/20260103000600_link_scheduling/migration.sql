@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "ExternalId" ADD COLUMN     "checkIntervalMinutes" INTEGER NOT NULL DEFAULT 1440,
+ADD COLUMN     "priority" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "JobLock" (
+    "name" TEXT NOT NULL,
+    "owner" TEXT NOT NULL,
+    "lockedUntil" TIMESTAMP(3) NOT NULL,
+    "acquiredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JobLock_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateIndex
+CREATE INDEX "ExternalId_isActive_lastCheckedAt_idx" ON "ExternalId"("isActive", "lastCheckedAt");
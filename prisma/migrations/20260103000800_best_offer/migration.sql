@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Component" ADD COLUMN     "bestOfferId" TEXT,
+ADD COLUMN     "best_vendor" TEXT,
+ADD COLUMN     "priceUpdatedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Component_bestOfferId_key" ON "Component"("bestOfferId");
+
+-- AddForeignKey
+ALTER TABLE "Component" ADD CONSTRAINT "Component_bestOfferId_fkey" FOREIGN KEY ("bestOfferId") REFERENCES "Offer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
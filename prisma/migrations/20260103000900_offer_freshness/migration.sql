@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Offer" ADD COLUMN     "is_stale" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "Offer" ADD COLUMN     "vendorId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Vendor" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "aliases" TEXT[],
+    "domains" TEXT[],
+    "trust" INTEGER NOT NULL DEFAULT 50,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "shipping_flat" INTEGER NOT NULL DEFAULT 0,
+    "free_shipping_above" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Vendor_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Source" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "baseUrl" TEXT NOT NULL DEFAULT '',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Source_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Vendor_name_key" ON "Vendor"("name");
+
+-- AddForeignKey
+ALTER TABLE "Offer" ADD CONSTRAINT "Offer_vendorId_fkey" FOREIGN KEY ("vendorId") REFERENCES "Vendor"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: code jo source ids likhta hai (price tracker + manual offers) aur purane offers ke
+-- baaki sourceIds ke liye Source rows, warna foreign key existing data pe fail hogi
+INSERT INTO "Source" ("id", "name", "type", "updatedAt") VALUES
+    ('scraper-auto', 'XO Rig Price Tracker', 'scraper', CURRENT_TIMESTAMP),
+    ('manual', 'XO Rig Manual', 'manual', CURRENT_TIMESTAMP)
+ON CONFLICT ("id") DO NOTHING;
+
+INSERT INTO "Source" ("id", "name", "type", "updatedAt")
+SELECT DISTINCT "sourceId", "sourceId", 'manual', CURRENT_TIMESTAMP
+FROM "Offer"
+WHERE "sourceId" IS NOT NULL
+ON CONFLICT ("id") DO NOTHING;
+
+-- AddForeignKey
+ALTER TABLE "Offer" ADD CONSTRAINT "Offer_sourceId_fkey" FOREIGN KEY ("sourceId") REFERENCES "Source"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Cpu" ADD COLUMN     "gaming_score" INTEGER,
+ADD COLUMN     "productivity_score" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Gpu" ADD COLUMN     "gaming_score" INTEGER,
+ADD COLUMN     "productivity_score" INTEGER;
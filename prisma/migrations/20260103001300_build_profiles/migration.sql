@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "BuildProfile" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "allocations" JSONB NOT NULL,
+    "minSpecs" JSONB NOT NULL DEFAULT '{}',
+    "preferences" JSONB NOT NULL DEFAULT '{}',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BuildProfile_pkey" PRIMARY KEY ("id")
+);
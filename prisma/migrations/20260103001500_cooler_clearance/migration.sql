@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Cabinet" ADD COLUMN     "max_radiator_mm" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Cooler" ADD COLUMN     "tdp_rating" INTEGER;
@@ -0,0 +1,21 @@
+-- Default compatibility rules (prisma/seed.js ke COMPATIBILITY_RULES). Hardcoded checks ab RuleEngine mein
+-- nahi hain, aur migrate deploy seed nahi chalata - isliye yahan. Same naam ka rule pehle se ho to chhod do.
+INSERT INTO "CompatibilityRule" ("id", "name", "severity", "message", "appliesTo", "logic", "updatedAt")
+SELECT gen_random_uuid()::text, r."name", r."severity", r."message", r."appliesTo", r."logic", CURRENT_TIMESTAMP
+FROM (VALUES
+    ('CPU socket matches motherboard', 'error', '❌ Socket Mismatch: CPU needs {{cpu.socket}}, Board supports {{motherboard.socket}}', ARRAY['CPU', 'MOTHERBOARD'], '{"==":[{"var":"cpu.socket"},{"var":"motherboard.socket"}]}'::jsonb),
+    ('RAM type matches motherboard', 'error', '❌ RAM Mismatch: Board needs {{motherboard.memory_type}}, RAM is {{ram.memory_type}}', ARRAY['RAM', 'MOTHERBOARD'], '{"==":[{"var":"ram.memory_type"},{"var":"motherboard.memory_type"}]}'::jsonb),
+    ('RAM modules fit motherboard slots', 'error', '❌ Not Enough RAM Slots: {{ram.total_modules}} modules, Board has {{motherboard.memory_slots}} slots', ARRAY['RAM', 'MOTHERBOARD'], '{"<=":[{"var":"ram.total_modules"},{"var":"motherboard.memory_slots"}]}'::jsonb),
+    ('RAM within motherboard max memory', 'error', '❌ Too Much RAM: {{ram.total_capacity_gb}}GB, Board supports up to {{motherboard.max_memory_gb}}GB', ARRAY['RAM', 'MOTHERBOARD'], '{"<=":[{"var":"ram.total_capacity_gb"},{"var":"motherboard.max_memory_gb"}]}'::jsonb),
+    ('M.2 drives fit motherboard', 'error', '❌ Not Enough M.2 Slots: {{storage.m2_count}} M.2 drives, Board has {{motherboard.m2_slots}} slots', ARRAY['STORAGE', 'MOTHERBOARD'], '{"<=":[{"var":"storage.m2_count"},{"var":"motherboard.m2_slots"}]}'::jsonb),
+    ('Case supports motherboard form factor', 'error', '❌ Case Size Mismatch: Case supports {{cabinet.supported_forms}}, Board is {{motherboard.form_factor}}', ARRAY['CABINET', 'MOTHERBOARD'], '{"in":[{"var":"motherboard.form_factor"},{"var":"cabinet.supported_forms"}]}'::jsonb),
+    ('GPU fits in case', 'error', '❌ GPU Too Long: GPU is {{gpu.length_mm}}mm, Case max is {{cabinet.max_gpu_len_mm}}mm', ARRAY['GPU', 'CABINET'], '{"<=":[{"var":"gpu.length_mm"},{"var":"cabinet.max_gpu_len_mm"}]}'::jsonb),
+    ('PSU covers system power', 'error', '❌ Weak PSU: System needs ~{{system.power_w}}W, PSU is only {{psu.wattage}}W', ARRAY['PSU', 'CPU'], '{">=":[{"var":"psu.wattage"},{"var":"system.power_w"}]}'::jsonb),
+    ('PSU headroom', 'warn', '⚠️ Low Headroom: PSU load is high. Recommended: {{system.recommended_psu_w}}W+', ARRAY['PSU', 'CPU'], '{"or":[{"<":[{"var":"psu.wattage"},{"var":"system.power_w"}]},{">=":[{"var":"psu.wattage"},{"var":"system.recommended_psu_w"}]}]}'::jsonb),
+    ('CPU has a cooler', 'error', '❌ No Cooler: CPU ({{cpu.tdp_watts}}W) does not ship with an adequate cooler', ARRAY['CPU'], '{"or":[{"var":"cpu.stock_cooler_adequate"},{"!!":{"var":"cooler"}}]}'::jsonb),
+    ('Cooler supports CPU socket', 'error', '❌ Cooler Socket Mismatch: Cooler supports {{cooler.sockets}}, CPU is {{cpu.socket}}', ARRAY['COOLER', 'CPU'], '{"in":[{"var":"cpu.socket"},{"var":"cooler.sockets"}]}'::jsonb),
+    ('Cooler handles CPU TDP', 'error', '❌ Weak Cooler: CPU is {{cpu.tdp_watts}}W, cooler handles ~{{cooler.capacity_w}}W', ARRAY['COOLER', 'CPU'], '{">=":[{"var":"cooler.capacity_w"},{"var":"cpu.tdp_watts"}]}'::jsonb),
+    ('Air cooler fits case height', 'error', '❌ Cooler Too Tall: Cooler is {{cooler.height_mm}}mm, Case max is {{cabinet.max_cpu_height}}mm', ARRAY['COOLER', 'CABINET'], '{"or":[{"!!":{"var":"cooler.radiator_size"}},{"==":[{"var":"cooler.height_mm"},null]},{"<=":[{"var":"cooler.height_mm"},{"var":"cabinet.max_cpu_height"}]}]}'::jsonb),
+    ('Radiator fits case', 'error', '❌ Radiator Won''t Fit: {{cooler.radiator_size}}mm radiator, Case radiator support (mm): {{cabinet.max_radiator_mm}}', ARRAY['COOLER', 'CABINET'], '{"or":[{"!":{"var":"cooler.radiator_size"}},{"<=":[{"var":"cooler.radiator_size"},{"var":["cabinet.max_radiator_mm",0]}]}]}'::jsonb)
+) AS r("name", "severity", "message", "appliesTo", "logic")
+WHERE NOT EXISTS (SELECT 1 FROM "CompatibilityRule" c WHERE c."name" = r."name");
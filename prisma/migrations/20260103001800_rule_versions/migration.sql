@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "CompatibilityRule" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "CompatibilityRuleVersion" (
+    "id" TEXT NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "appliesTo" TEXT[],
+    "logic" JSONB NOT NULL,
+    "isActive" BOOLEAN NOT NULL,
+    "changeNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CompatibilityRuleVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CompatibilityRuleVersion_ruleId_version_key" ON "CompatibilityRuleVersion"("ruleId", "version");
+
+-- AddForeignKey
+ALTER TABLE "CompatibilityRuleVersion" ADD CONSTRAINT "CompatibilityRuleVersion_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "CompatibilityRule"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: pehle se bane rules ka current state unka version 1 (history yahin se shuru hoti hai)
+INSERT INTO "CompatibilityRuleVersion" ("id", "ruleId", "version", "name", "severity", "message", "appliesTo", "logic", "isActive", "changeNote")
+SELECT gen_random_uuid()::text, r."id", r."version", r."name", r."severity", r."message", r."appliesTo", r."logic", r."isActive", 'Backfilled'
+FROM "CompatibilityRule" r
+WHERE NOT EXISTS (SELECT 1 FROM "CompatibilityRuleVersion" v WHERE v."ruleId" = r."id");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CompatibilityRule" ADD COLUMN     "deletedAt" TIMESTAMP(3);
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "Build" (
+    "id" TEXT NOT NULL,
+    "shareSlug" TEXT NOT NULL,
+    "owner" TEXT,
+    "label" TEXT,
+    "profileId" TEXT,
+    "budget" INTEGER,
+    "totalAtSave" INTEGER NOT NULL DEFAULT 0,
+    "clonedFromId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Build_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BuildItem" (
+    "id" TEXT NOT NULL,
+    "buildId" TEXT NOT NULL,
+    "slot" TEXT NOT NULL,
+    "componentId" TEXT,
+    "name" TEXT NOT NULL,
+    "priceAtSave" INTEGER,
+    "owned" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "BuildItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Build_shareSlug_key" ON "Build"("shareSlug");
+
+-- CreateIndex
+CREATE INDEX "Build_owner_idx" ON "Build"("owner");
+
+-- CreateIndex
+CREATE INDEX "BuildItem_componentId_idx" ON "BuildItem"("componentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BuildItem_buildId_slot_key" ON "BuildItem"("buildId", "slot");
+
+-- AddForeignKey
+ALTER TABLE "Build" ADD CONSTRAINT "Build_clonedFromId_fkey" FOREIGN KEY ("clonedFromId") REFERENCES "Build"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BuildItem" ADD CONSTRAINT "BuildItem_buildId_fkey" FOREIGN KEY ("buildId") REFERENCES "Build"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BuildItem" ADD CONSTRAINT "BuildItem_componentId_fkey" FOREIGN KEY ("componentId") REFERENCES "Component"("id") ON DELETE SET NULL ON UPDATE CASCADE;
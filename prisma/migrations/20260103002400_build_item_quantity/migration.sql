@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "BuildItem" ADD COLUMN     "quantity" INTEGER NOT NULL DEFAULT 1;
@@ -1,7 +1,287 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 
+// Canonical vendors (pehle masterController mein hardcoded the)
+const VENDORS = [
+  { id: "md", name: "MDComputers", trust: 86, aliases: ["mdcomputers", "MD Computers"], domains: ["mdcomputers.in"] },
+  { id: "prime", name: "PrimeABGB", trust: 82, aliases: ["primeabgb", "Prime ABGB"], domains: ["primeabgb.com"] },
+  { id: "ved", name: "Vedant Computers", trust: 78, aliases: ["vedant", "vedantcomputers"], domains: ["vedantcomputers.com"] },
+  { id: "elite", name: "EliteHubs", trust: 70, aliases: ["elitehubs", "Elite Hubs"], domains: ["elitehubs.com"] },
+];
+
+const SOURCES = [
+  { id: "pcpt", name: "PCPriceTracker", type: "aggregator", baseUrl: "https://pcpricetracker.in" },
+  { id: "md", name: "MDComputers", type: "vendor", baseUrl: "https://mdcomputers.in" },
+  { id: "prime", name: "PrimeABGB", type: "vendor", baseUrl: "https://primeabgb.com" },
+  { id: "scraper-auto", name: "XO Rig Price Tracker", type: "scraper", baseUrl: "" },
+  { id: "manual", name: "XO Rig Manual", type: "manual", baseUrl: "" },
+];
+
+async function seedVendors() {
+  for (const vendor of VENDORS) {
+    await prisma.vendor.upsert({
+      where: { id: vendor.id },
+      update: { aliases: vendor.aliases, domains: vendor.domains },
+      create: vendor
+    });
+  }
+  for (const source of SOURCES) {
+    await prisma.source.upsert({
+      where: { id: source.id },
+      update: {},
+      create: source
+    });
+  }
+
+  // Purane offers (vendor sirf string tha) ko canonical vendor se link karo
+  for (const vendor of VENDORS) {
+    const names = [vendor.id, vendor.name, ...vendor.aliases];
+    const { count } = await prisma.offer.updateMany({
+      where: {
+        vendorId: null,
+        OR: names.map(name => ({ vendor: { equals: name, mode: 'insensitive' } }))
+      },
+      data: { vendorId: vendor.id, vendor: vendor.name }
+    });
+    if (count > 0) console.log(`Linked ${count} offers to ${vendor.name}`);
+  }
+  console.log("Vendors & sources seeded!");
+}
+
+// Build intents (BuilderService). GAMING / WORKSTATION = purane hardcoded getAllocation splits
+const BUILD_PROFILES = [
+  {
+    id: "GAMING",
+    name: "Gaming",
+    description: "GPU-heavy split for high frame rates",
+    allocations: { gpu: 0.40, cpu: 0.20, motherboard: 0.12, ram: 0.08, storage: 0.08, psu: 0.07, cabinet: 0.05 },
+    minSpecs: {},
+    preferences: { metric: "gaming" }
+  },
+  {
+    id: "WORKSTATION",
+    name: "Workstation",
+    description: "CPU-heavy split for compile, render and office-pro workloads",
+    allocations: { gpu: 0.20, cpu: 0.35, motherboard: 0.15, ram: 0.10, storage: 0.10, psu: 0.05, cabinet: 0.05 },
+    minSpecs: {},
+    preferences: { metric: "productivity" }
+  },
+  {
+    id: "STREAMING",
+    name: "Streaming",
+    description: "Game and encode on one box: balanced CPU/GPU, plenty of cores",
+    allocations: { gpu: 0.32, cpu: 0.28, motherboard: 0.12, ram: 0.10, storage: 0.08, psu: 0.06, cabinet: 0.04 },
+    minSpecs: { cpu: { cores: 8 }, ram: { capacity_gb: 32 } },
+    preferences: { metric: "gaming" }
+  },
+  {
+    id: "EDITING",
+    name: "Video / Photo Editing",
+    description: "Fast CPU, lots of RAM and storage for timelines and caches",
+    allocations: { gpu: 0.25, cpu: 0.30, motherboard: 0.12, ram: 0.14, storage: 0.10, psu: 0.05, cabinet: 0.04 },
+    minSpecs: { gpu: { vram_gb: 8 }, ram: { capacity_gb: 32 }, storage: { capacity_gb: 1000 } },
+    preferences: { metric: "productivity" }
+  },
+  {
+    id: "OFFICE",
+    name: "Office / Home",
+    description: "No discrete GPU, cheapest reliable build",
+    allocations: { cpu: 0.35, motherboard: 0.20, ram: 0.15, storage: 0.15, psu: 0.08, cabinet: 0.07 },
+    minSpecs: { ram: { capacity_gb: 8 } },
+    preferences: { metric: "productivity", valueWeight: 0.3 }
+  },
+  {
+    id: "SFF",
+    name: "Small Form Factor",
+    description: "Mini-ITX gaming build",
+    allocations: { gpu: 0.38, cpu: 0.22, motherboard: 0.14, ram: 0.08, storage: 0.08, psu: 0.06, cabinet: 0.04 },
+    minSpecs: { motherboard: { form_factor: ["ITX"] } },
+    preferences: { metric: "gaming" }
+  },
+  {
+    id: "AI_LLM",
+    name: "AI / Local LLM",
+    description: "Maximum VRAM and system memory for running models locally",
+    allocations: { gpu: 0.45, cpu: 0.15, motherboard: 0.10, ram: 0.12, storage: 0.09, psu: 0.06, cabinet: 0.03 },
+    minSpecs: { gpu: { vram_gb: 12 }, ram: { capacity_gb: 32 } },
+    preferences: { metric: "productivity" }
+  },
+];
+
+async function seedBuildProfiles() {
+  for (const profile of BUILD_PROFILES) {
+    await prisma.buildProfile.upsert({
+      where: { id: profile.id },
+      update: {},
+      create: profile
+    });
+  }
+  console.log("Build profiles seeded!");
+}
+
+// Pehle RuleEngine mein hardcoded checks. Derived values (RuleEngine.buildContext):
+// cpu.stock_cooler_adequate, cooler.capacity_w, system.power_w, system.recommended_psu_w,
+// ram.total_modules, ram.total_capacity_gb, storage.m2_count (kits / drives x quantity)
+// Existing DBs ko ye migration 20260103001600_default_compatibility_rules se milte hain -
+// naya default rule yahan jode to uske liye data migration bhi likho
+const COMPATIBILITY_RULES = [
+  {
+    name: "CPU socket matches motherboard",
+    severity: "error",
+    message: "❌ Socket Mismatch: CPU needs {{cpu.socket}}, Board supports {{motherboard.socket}}",
+    appliesTo: ["CPU", "MOTHERBOARD"],
+    logic: { "==": [{ "var": "cpu.socket" }, { "var": "motherboard.socket" }] }
+  },
+  {
+    name: "RAM type matches motherboard",
+    severity: "error",
+    message: "❌ RAM Mismatch: Board needs {{motherboard.memory_type}}, RAM is {{ram.memory_type}}",
+    appliesTo: ["RAM", "MOTHERBOARD"],
+    logic: { "==": [{ "var": "ram.memory_type" }, { "var": "motherboard.memory_type" }] }
+  },
+  {
+    name: "RAM modules fit motherboard slots",
+    severity: "error",
+    message: "❌ Not Enough RAM Slots: {{ram.total_modules}} modules, Board has {{motherboard.memory_slots}} slots",
+    appliesTo: ["RAM", "MOTHERBOARD"],
+    logic: { "<=": [{ "var": "ram.total_modules" }, { "var": "motherboard.memory_slots" }] }
+  },
+  {
+    name: "RAM within motherboard max memory",
+    severity: "error",
+    message: "❌ Too Much RAM: {{ram.total_capacity_gb}}GB, Board supports up to {{motherboard.max_memory_gb}}GB",
+    appliesTo: ["RAM", "MOTHERBOARD"],
+    logic: { "<=": [{ "var": "ram.total_capacity_gb" }, { "var": "motherboard.max_memory_gb" }] }
+  },
+  {
+    name: "M.2 drives fit motherboard",
+    severity: "error",
+    message: "❌ Not Enough M.2 Slots: {{storage.m2_count}} M.2 drives, Board has {{motherboard.m2_slots}} slots",
+    appliesTo: ["STORAGE", "MOTHERBOARD"],
+    logic: { "<=": [{ "var": "storage.m2_count" }, { "var": "motherboard.m2_slots" }] }
+  },
+  {
+    name: "Case supports motherboard form factor",
+    severity: "error",
+    message: "❌ Case Size Mismatch: Case supports {{cabinet.supported_forms}}, Board is {{motherboard.form_factor}}",
+    appliesTo: ["CABINET", "MOTHERBOARD"],
+    logic: { "in": [{ "var": "motherboard.form_factor" }, { "var": "cabinet.supported_forms" }] }
+  },
+  {
+    name: "GPU fits in case",
+    severity: "error",
+    message: "❌ GPU Too Long: GPU is {{gpu.length_mm}}mm, Case max is {{cabinet.max_gpu_len_mm}}mm",
+    appliesTo: ["GPU", "CABINET"],
+    logic: { "<=": [{ "var": "gpu.length_mm" }, { "var": "cabinet.max_gpu_len_mm" }] }
+  },
+  {
+    name: "PSU covers system power",
+    severity: "error",
+    message: "❌ Weak PSU: System needs ~{{system.power_w}}W, PSU is only {{psu.wattage}}W",
+    appliesTo: ["PSU", "CPU"],
+    logic: { ">=": [{ "var": "psu.wattage" }, { "var": "system.power_w" }] }
+  },
+  {
+    // Weak PSU pe ye warning nahi (upar wala error hi kaafi hai)
+    name: "PSU headroom",
+    severity: "warn",
+    message: "⚠️ Low Headroom: PSU load is high. Recommended: {{system.recommended_psu_w}}W+",
+    appliesTo: ["PSU", "CPU"],
+    logic: {
+      "or": [
+        { "<": [{ "var": "psu.wattage" }, { "var": "system.power_w" }] },
+        { ">=": [{ "var": "psu.wattage" }, { "var": "system.recommended_psu_w" }] }
+      ]
+    }
+  },
+  {
+    name: "CPU has a cooler",
+    severity: "error",
+    message: "❌ No Cooler: CPU ({{cpu.tdp_watts}}W) does not ship with an adequate cooler",
+    appliesTo: ["CPU"],
+    logic: { "or": [{ "var": "cpu.stock_cooler_adequate" }, { "!!": { "var": "cooler" } }] }
+  },
+  {
+    name: "Cooler supports CPU socket",
+    severity: "error",
+    message: "❌ Cooler Socket Mismatch: Cooler supports {{cooler.sockets}}, CPU is {{cpu.socket}}",
+    appliesTo: ["COOLER", "CPU"],
+    logic: { "in": [{ "var": "cpu.socket" }, { "var": "cooler.sockets" }] }
+  },
+  {
+    name: "Cooler handles CPU TDP",
+    severity: "error",
+    message: "❌ Weak Cooler: CPU is {{cpu.tdp_watts}}W, cooler handles ~{{cooler.capacity_w}}W",
+    appliesTo: ["COOLER", "CPU"],
+    logic: { ">=": [{ "var": "cooler.capacity_w" }, { "var": "cpu.tdp_watts" }] }
+  },
+  {
+    name: "Air cooler fits case height",
+    severity: "error",
+    message: "❌ Cooler Too Tall: Cooler is {{cooler.height_mm}}mm, Case max is {{cabinet.max_cpu_height}}mm",
+    appliesTo: ["COOLER", "CABINET"],
+    logic: {
+      "or": [
+        { "!!": { "var": "cooler.radiator_size" } },
+        { "==": [{ "var": "cooler.height_mm" }, null] },
+        { "<=": [{ "var": "cooler.height_mm" }, { "var": "cabinet.max_cpu_height" }] }
+      ]
+    }
+  },
+  {
+    name: "Radiator fits case",
+    severity: "error",
+    message: "❌ Radiator Won't Fit: {{cooler.radiator_size}}mm radiator, Case radiator support (mm): {{cabinet.max_radiator_mm}}",
+    appliesTo: ["COOLER", "CABINET"],
+    logic: {
+      "or": [
+        { "!": { "var": "cooler.radiator_size" } },
+        { "<=": [{ "var": "cooler.radiator_size" }, { "var": ["cabinet.max_radiator_mm", 0] }] }
+      ]
+    }
+  },
+];
+
+// Naam se match: pehle se hai to admin ke edits chhod do (deleted rule bhi wapas nahi aata)
+async function seedRules() {
+  for (const rule of COMPATIBILITY_RULES) {
+    const existing = await prisma.compatibilityRule.findFirst({ where: { name: rule.name } });
+    if (!existing) {
+      await prisma.compatibilityRule.create({
+        data: {
+          ...rule,
+          version: 1,
+          versions: { create: { version: 1, ...rule, isActive: true, changeNote: "Seeded" } }
+        }
+      });
+    }
+  }
+
+  // Versioning se pehle bane rules (koi history nahi): current state ko unka pehla version maano
+  const unversioned = await prisma.compatibilityRule.findMany({ where: { versions: { none: {} } } });
+  for (const rule of unversioned) {
+    await prisma.compatibilityRuleVersion.create({
+      data: {
+        ruleId: rule.id,
+        version: rule.version,
+        name: rule.name,
+        severity: rule.severity,
+        message: rule.message,
+        appliesTo: rule.appliesTo,
+        logic: rule.logic,
+        isActive: rule.isActive,
+        changeNote: "Backfilled"
+      }
+    });
+  }
+  console.log("Compatibility rules seeded!");
+}
+
 async function main() {
+  await seedVendors();
+  await seedBuildProfiles();
+  await seedRules();
+
   const categories = [
     {
       name: "CPU",
@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
-const cron = require('node-cron');
-const { runPriceTracker } = require('./jobs/priceTracker');
+const { startScheduler } = require('./jobs/scheduler');
 const apiRoutes = require('./routes/apiRoutes'); // Adjust path as needed
 
 const app = express();
@@ -15,11 +14,6 @@ app.use(express.urlencoded({ extended: true }));
 // --- ROUTES ---
 app.use('/api', apiRoutes);
 
-// cron.schedule('* * * * *', () => {
-//     console.log("⏰ 1-Minute Scheduler Triggered");
-//     runPriceTracker();
-// });
-
 app.get('/', (req, res) => {
   res.send('XO Rig Backend is running');
 });
@@ -30,6 +24,7 @@ if (require.main === module) {
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+    startScheduler();
 }
 
 module.exports = app;
\ No newline at end of file
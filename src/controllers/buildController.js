@@ -1,19 +1,72 @@
 // 4. controllers/buildController.js
 
 const builderService = require('../logic/BuilderService');
+const buildProfiles = require('../logic/BuildProfileService');
+const buildConstraints = require('../logic/BuildConstraintService');
+const compatibility = require('../logic/CompatibilityService');
+const ruleEngine = require('../logic/RuleEngine');
+const swapService = require('../logic/SwapService');
+const performance = require('../logic/PerformanceService');
+const { SLOT_DEFS, SLOT_ORDER } = require('../logic/buildSlots');
+const { exportBuild, FORMATS } = require('../utils/buildExporter');
+
+// Body ke parts (generate ke component rows ya slot -> id) -> { ids, owned } ya { error }
+// ids[slot] = "<id>" ya { id, quantity } (RAM kits / drives)
+const partIds = (parts) => {
+    if (!parts || typeof parts !== 'object') {
+        return { error: "parts is required (generated build parts or slot -> component id)" };
+    }
+    const ids = {};
+    const owned = new Set();
+    for (const [slot, part] of Object.entries(parts)) {
+        if (!part) continue;
+        const id = typeof part === 'object' ? part.id : part;
+        if (!id || typeof id !== 'string') return { error: `parts.${slot} must be a component row or id` };
+        ids[slot] = typeof part === 'object' && part.quantity !== undefined ? { id, quantity: part.quantity } : id;
+        if (typeof part === 'object' && part.owned) owned.add(slot.toLowerCase());
+    }
+    return { ids, owned };
+};
 
 exports.generatePCBuild = async (req, res) => {
     try {
-        const { budget, intent } = req.body;
+        const { budget, intent, count } = req.body;
 
         if (!budget || budget < 30000) {
             return res.status(400).json({ error: "Budget must be at least ₹30,000" });
         }
 
-        console.log(`Generating build for ₹${budget} - ${intent}`);
+        // intent = BuildProfile id (GAMING, WORKSTATION, AI_LLM ...)
+        const profileId = intent || "GAMING";
+        const profile = await buildProfiles.getProfile(profileId);
+        if (!profile) {
+            const available = (await buildProfiles.getProfiles()).filter(p => p.isActive).map(p => p.id);
+            return res.status(400).json({ error: `Unknown build profile: ${profileId}`, available });
+        }
+
+        // User constraints (brands, features, pinned / excluded parts, excluded vendors)
+        const prepared = await buildConstraints.prepare(req.body.constraints);
+        if (prepared.error) return res.status(400).json({ error: prepared.error });
+        const { constraints } = prepared;
+
+        console.log(`Generating build for ₹${budget} - ${profile.id}`);
         
         // Builder Service ko call karo
-        const result = await builderService.generateBuild(Number(budget), intent);
+        // count = kitne alternative builds chahiye (default 3, max 10)
+        const result = await builderService.generateBuild(Number(budget), profile, {
+            count: Math.min(Math.max(Number(count) || 3, 1), 10),
+            constraints
+        });
+
+        // User ke constraints poore nahi ho sakte -> 422 + kaunsa constraint fail hua
+        if (constraints.active && result.builds.length === 0) {
+            return res.status(422).json({
+                success: false,
+                error: "Build constraints cannot be satisfied",
+                unsatisfied: result.unsatisfied,
+                data: result
+            });
+        }
 
         res.json({
             success: true,
@@ -24,4 +77,77 @@ exports.generatePCBuild = async (req, res) => {
         console.error("Build Error:", error);
         res.status(500).json({ error: "Failed to generate build", details: error.message });
     }
-};
\ No newline at end of file
+};
+
+// Parts list export (markdown / csv / text / bbcode)
+// Body: { format, title, parts, stock_cooler } - parts = generate ka build.parts (rows) ya slot -> id.
+// Prices / links / compatibility DB se dobara aate hain (client ke bheje prices pe quote nahi banta)
+exports.exportPCBuild = async (req, res) => {
+    try {
+        const format = String(req.query.format || req.body.format || 'markdown').toLowerCase();
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+        }
+
+        const { stock_cooler: stockCooler, title } = req.body;
+        const { ids, owned, error } = partIds(req.body.parts);
+        if (error) return res.status(400).json({ error });
+
+        const resolved = await compatibility.resolveBuild(ids);
+        if (resolved.error) return res.status(resolved.status).json({ error: resolved.error });
+
+        for (const slot of owned) resolved.parts[slot] = { ...resolved.parts[slot], owned: true };
+        const build = {
+            parts: resolved.parts,
+            stock_cooler: Boolean(stockCooler) && !resolved.parts.cooler,
+            compatibility_status: ruleEngine.evaluate(resolved.build, await ruleEngine.getRules())
+        };
+
+        const file = exportBuild(build, format, { title });
+        if (req.query.download === 'true') {
+            res.attachment(`build.${file.extension}`);
+        }
+        res.type(file.contentType).send(file.body);
+    } catch (error) {
+        console.error("Export Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Har slot ke nearest sasta / mehenga compatible alternative
+// Body: { parts, intent?, metric?, slots? } - parts export jaisa (generate rows ya slot -> id)
+exports.getSwapSuggestions = async (req, res) => {
+    try {
+        const { ids, owned, error } = partIds(req.body.parts);
+        if (error) return res.status(400).json({ error });
+        const slots = req.body.slots ? [].concat(req.body.slots).map(s => String(s).toLowerCase()) : undefined;
+        const unknown = (slots || []).find(s => !SLOT_DEFS[s]);
+        if (unknown) return res.status(400).json({ error: `slots: unknown slot "${unknown}" (use ${SLOT_ORDER.join(', ')})` });
+
+        const resolved = await compatibility.resolveBuild(ids);
+        if (resolved.error) return res.status(resolved.status).json({ error: resolved.error });
+        if (Object.keys(resolved.parts).length === 0) return res.status(400).json({ error: "parts must include at least one component" });
+
+        // Performance metric: metric > profile preference > intent
+        let metric = req.body.metric;
+        if (metric !== undefined && !performance.metrics.includes(metric)) {
+            return res.status(400).json({ error: `metric must be one of ${performance.metrics.join(', ')}` });
+        }
+        if (!metric) {
+            const intent = buildProfiles.normalizeId(req.body.intent || 'GAMING');
+            const profile = await buildProfiles.getProfile(intent);
+            metric = (profile && buildProfiles.preferences(profile).metric) || performance.metricForIntent(intent);
+        }
+
+        const parts = {};
+        for (const [slot, meta] of Object.entries(resolved.parts)) {
+            parts[slot] = { id: meta.id, quantity: meta.quantity || 1, meta };
+        }
+
+        const swaps = await swapService.suggest(parts, { metric, slots, owned });
+        res.json({ performance_metric: metric, swaps });
+    } catch (error) {
+        console.error("Swap Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
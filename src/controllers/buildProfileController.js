@@ -0,0 +1,73 @@
+const prisma = require('../config/db');
+const buildProfiles = require('../logic/BuildProfileService');
+
+exports.getProfiles = async (req, res) => {
+    try {
+        const { active } = req.query;
+        const where = {};
+        if (active !== undefined) where.isActive = active === 'true';
+
+        const profiles = await prisma.buildProfile.findMany({ where, orderBy: { id: 'asc' } });
+        res.json(profiles);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.getProfileById = async (req, res) => {
+    try {
+        const profile = await prisma.buildProfile.findUnique({
+            where: { id: buildProfiles.normalizeId(req.params.id) }
+        });
+        if (!profile) return res.status(404).json({ error: "Not found" });
+        res.json(profile);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.createProfile = async (req, res) => {
+    try {
+        const id = buildProfiles.normalizeId(req.body.id);
+        const idError = buildProfiles.validateId(id);
+        if (idError) return res.status(400).json({ error: idError });
+
+        const { data, error } = buildProfiles.validate(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const profile = await prisma.buildProfile.create({ data: { id, ...data } });
+        buildProfiles.invalidate();
+        res.json(profile);
+    } catch (error) {
+        if (error.code === 'P2002') return res.status(409).json({ error: "Profile id already exists" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.updateProfile = async (req, res) => {
+    try {
+        const { data, error } = buildProfiles.validate(req.body, { partial: true });
+        if (error) return res.status(400).json({ error });
+
+        const profile = await prisma.buildProfile.update({
+            where: { id: buildProfiles.normalizeId(req.params.id) },
+            data
+        });
+        buildProfiles.invalidate();
+        res.json(profile);
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.deleteProfile = async (req, res) => {
+    try {
+        await prisma.buildProfile.delete({ where: { id: buildProfiles.normalizeId(req.params.id) } });
+        buildProfiles.invalidate();
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
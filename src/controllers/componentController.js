@@ -1,94 +1,46 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { scrapeSpecs } = require('../utils/scraper');
-
-// --- Helper to prevent NaN Crashes ---
-const parseNum = (val) => {
-    if (val === undefined || val === null || val === "") return undefined; // Update ke liye undefined chhod do agar missing hai
-    const n = Number(val);
-    return isNaN(n) ? 0 : n;
-};
-
-// --- Helper to parse Float ---
-const parseFloatNum = (val) => {
-    if (val === undefined || val === null || val === "") return undefined;
-    const n = parseFloat(val);
-    return isNaN(n) ? 0.0 : n;
-};
-
-// --- Helper for Booleans ---
-const parseBool = (val) => {
-    if (val === undefined || val === null) return undefined;
-    return val === 'true' || val === 'True' || val === true;
-};
-
+const priceHistory = require('../logic/PriceHistoryService');
+const trackingLinks = require('../logic/TrackingLinkService');
+const pricing = require('../logic/PricingService');
+const vendors = require('../logic/VendorService');
+const compatibility = require('../logic/CompatibilityService');
+const catalog = require('../logic/CatalogService');
+const { parseNum, parseFloatNum, parseBool } = require('../utils/parsers');
+
+const MANUAL_VENDOR = "Manual Entry";
+
+// GET /components?type=GPU&vram_gb_min=8&inStock=true&sort=price&limit=24&cursor=<next_cursor>
+// Response: { items, total, limit, offset, next_cursor, sort, order, facets } (CatalogService)
 exports.getComponents = async (req, res) => {
   try {
-    const { type, search } = req.query;
-    const where = {};
-
-    if (type && type !== 'All') {
-      where.type = type;
-    }
-
-    if (search) {
-      where.OR = [
-        { brand: { contains: search, mode: 'insensitive' } },
-        { model: { contains: search, mode: 'insensitive' } },
-        { variant: { contains: search, mode: 'insensitive' } },
-      ];
-    }
+    const parsed = catalog.parseQuery(req.query);
+    if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
 
-    const components = await prisma.component.findMany({
-      where,
-      select: {
-        id: true,
-        type: true,
-        brand: true,
-        model: true,
-        variant: true,
-        image_url: true,
-        price_current: true,
-        updatedAt: true,
-        offers: {
-          where: { in_stock: true },
-          orderBy: { price: 'asc' },
-          take: 1, // Sabse sasta offer uthao
-          select: { price: true, vendor: true }
-        }
-      },
-      orderBy: { updatedAt: 'desc' }
-    });
+    res.json(await catalog.search(parsed.query));
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch components" });
+  }
+};
 
-    const formatted = components.map(c => {
-        // --- BEST PRICE LOGIC ---
-        // 1. Current Price lo
-        let prices = [];
-        if (c.price_current) prices.push(c.price_current);
-        
-        // 2. Offer Price lo
-        if (c.offers.length > 0) prices.push(c.offers[0].price);
-
-        // 3. Jo sabse kam ho wo Best Price hai (0 ko ignore karo agar data hai)
-        const bestPrice = prices.length > 0 ? Math.min(...prices) : 0;
-
-        return {
-            id: c.id,
-            type: c.type,
-            name: `${c.brand} ${c.model} ${c.variant || ''}`.trim(),
-            brand: c.brand,
-            model: c.model,
-            variant: c.variant,
-            image: c.image_url,
-            best_price: bestPrice, 
-            vendor: c.offers[0] ? c.offers[0].vendor : 'N/A',
-            updatedAt: c.updatedAt
-        };
+// GET /components/:id/compatible?type=MOTHERBOARD&limit=20&offset=0&inStock=true
+exports.getCompatibleComponents = async (req, res) => {
+  try {
+    const type = String(req.query.type || '').toUpperCase();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const result = await compatibility.findCompatible(req.params.id, type, {
+        limit,
+        offset,
+        inStock: req.query.inStock === 'true'
     });
+    if (result.error) return res.status(result.status).json({ error: result.error });
 
-    res.json(formatted);
+    res.json(result);
   } catch (error) {
-    res.status(500).json({ error: "Failed to fetch components" });
+    res.status(500).json({ error: error.message });
   }
 };
 
@@ -116,8 +68,13 @@ exports.getComponentById = async (req, res) => {
         case 'COOLER': strictData = await prisma.cooler.findUnique({ where: { componentId: id } }); break;
     }
 
+    // Har tracking link ke saath uska last check result
+    const externalIds = await trackingLinks.withLastCheck(base.externalIds);
+
     res.json({ 
         ...base, 
+        offers: base.offers.map(o => ({ ...o, freshness: pricing.freshness(o) })),
+        externalIds,
         [base.type.toLowerCase()]: strictData 
     });
   } catch (error) {
@@ -153,15 +110,23 @@ exports.createComponent = async (req, res) => {
                 specs: specs || {},
                 offers: price ? {
                     create: {
-                        vendor: "Manual Entry",
+                        vendor: MANUAL_VENDOR,
                         price: parseNum(price),
                         url: product_page || "",
                         in_stock: true
                     }
                 } : undefined
-            }
+            },
+            include: { offers: true }
         });
 
+        for (const offer of comp.offers) {
+            await priceHistory.recordSnapshot(offer, tx);
+        }
+        if (comp.offers.length > 0) {
+            await pricing.recomputeComponentPrice(comp.id, tx);
+        }
+
         // 2. Create Strict Data (With Parsing)
         if (type === 'CPU') {
             await tx.cpu.create({
@@ -174,7 +139,9 @@ exports.createComponent = async (req, res) => {
                     boost_clock: parseFloatNum(cs.boost_clock),
                     tdp_watts: parseNum(cs.tdp_watts),
                     integrated_gpu: parseBool(cs.integrated_gpu),
-                    includes_cooler: parseBool(cs.includes_cooler)
+                    includes_cooler: parseBool(cs.includes_cooler),
+                    gaming_score: parseNum(cs.gaming_score),
+                    productivity_score: parseNum(cs.productivity_score)
                 }
             });
         } 
@@ -186,7 +153,9 @@ exports.createComponent = async (req, res) => {
                     vram_gb: parseNum(cs.vram_gb),
                     length_mm: parseNum(cs.length_mm),
                     tdp_watts: parseNum(cs.tdp_watts),
-                    recommended_psu: parseNum(cs.recommended_psu)
+                    recommended_psu: parseNum(cs.recommended_psu),
+                    gaming_score: parseNum(cs.gaming_score),
+                    productivity_score: parseNum(cs.productivity_score)
                 }
             });
         }
@@ -242,7 +211,8 @@ exports.createComponent = async (req, res) => {
                     componentId: comp.id,
                     supported_forms: Array.isArray(cs.supported_forms) ? cs.supported_forms : [],
                     max_gpu_len_mm: parseNum(cs.max_gpu_len_mm),
-                    max_cpu_height: parseNum(cs.max_cpu_height)
+                    max_cpu_height: parseNum(cs.max_cpu_height),
+                    max_radiator_mm: cs.max_radiator_mm ? parseNum(cs.max_radiator_mm) : null
                 }
             });
         }
@@ -253,7 +223,8 @@ exports.createComponent = async (req, res) => {
                     type: cs.type || "Air",
                     sockets: Array.isArray(cs.sockets) ? cs.sockets : [],
                     height_mm: cs.height_mm ? parseNum(cs.height_mm) : null,
-                    radiator_size: cs.radiator_size ? parseNum(cs.radiator_size) : null
+                    radiator_size: cs.radiator_size ? parseNum(cs.radiator_size) : null,
+                    tdp_rating: cs.tdp_rating ? parseNum(cs.tdp_rating) : null
                 }
             });
         }
@@ -281,10 +252,25 @@ exports.updateComponent = async (req, res) => {
             
             // 1. Update Core
             const updateData = { ...coreUpdates };
+            if (specs) updateData.specs = specs; 
+
+            // Price ab seedha price_current mein nahi jata: "Manual Entry" offer update hota hai
+            // aur price_current offers se recompute hota hai
             if (price !== undefined && price !== "") {
-                updateData.price_current = Number(price);
+                const manualOffer = await tx.offer.findFirst({
+                    where: { componentId: id, vendor: MANUAL_VENDOR }
+                });
+                const offer = manualOffer
+                    ? await tx.offer.update({
+                        where: { id: manualOffer.id },
+                        data: { price: Number(price), effective_price: null, in_stock: true }
+                    })
+                    : await tx.offer.create({
+                        data: { componentId: id, vendor: MANUAL_VENDOR, price: Number(price), url: "", in_stock: true }
+                    });
+                await priceHistory.recordSnapshot(offer, tx);
+                await pricing.recomputeComponentPrice(id, tx);
             }
-            if (specs) updateData.specs = specs; 
 
             if (Object.keys(updateData).length > 0) {
                 updatedComp = await tx.component.update({
@@ -309,7 +295,9 @@ exports.updateComponent = async (req, res) => {
                             boost_clock: parseFloatNum(cs.boost_clock),
                             tdp_watts: parseNum(cs.tdp_watts),
                             integrated_gpu: parseBool(cs.integrated_gpu),
-                            includes_cooler: parseBool(cs.includes_cooler)
+                            includes_cooler: parseBool(cs.includes_cooler),
+                            gaming_score: parseNum(cs.gaming_score),
+                            productivity_score: parseNum(cs.productivity_score)
                         }
                     });
                 }
@@ -321,7 +309,9 @@ exports.updateComponent = async (req, res) => {
                             vram_gb: parseNum(cs.vram_gb),
                             length_mm: parseNum(cs.length_mm),
                             tdp_watts: parseNum(cs.tdp_watts),
-                            recommended_psu: parseNum(cs.recommended_psu)
+                            recommended_psu: parseNum(cs.recommended_psu),
+                            gaming_score: parseNum(cs.gaming_score),
+                            productivity_score: parseNum(cs.productivity_score)
                         }
                     });
                 }
@@ -377,7 +367,8 @@ exports.updateComponent = async (req, res) => {
                         data: {
                             supported_forms: cs.supported_forms,
                             max_gpu_len_mm: parseNum(cs.max_gpu_len_mm),
-                            max_cpu_height: parseNum(cs.max_cpu_height)
+                            max_cpu_height: parseNum(cs.max_cpu_height),
+                            max_radiator_mm: parseNum(cs.max_radiator_mm)
                         }
                     });
                 }
@@ -388,7 +379,8 @@ exports.updateComponent = async (req, res) => {
                             type: cs.type,
                             sockets: cs.sockets,
                             height_mm: parseNum(cs.height_mm),
-                            radiator_size: parseNum(cs.radiator_size)
+                            radiator_size: parseNum(cs.radiator_size),
+                            tdp_rating: parseNum(cs.tdp_rating)
                         }
                     });
                 }
@@ -406,23 +398,106 @@ exports.updateComponent = async (req, res) => {
 
 exports.addManualOffer = async (req, res) => {
     try {
-        const { componentId, price, vendorName, inStock, url } = req.body;
+        const { componentId, price, vendorName, vendorId, inStock, url } = req.body;
+
+        // vendorId ya name/alias se canonical vendor (shipping rules bhi wahi se)
+        const vendor = await vendors.resolveVendor(vendorId || vendorName);
+        const shipping = vendors.shippingFor(vendor, Number(price));
         
         const offer = await prisma.offer.create({
             data: {
                 componentId,
-                vendor: vendorName || "Manual Entry",
+                vendor: vendor ? vendor.name : (vendorName || MANUAL_VENDOR),
+                vendorId: vendor ? vendor.id : null,
                 price: Number(price),
+                shipping,
+                effective_price: Number(price) + shipping,
                 in_stock: inStock ?? true,
                 url: url || "",
+                sourceId: "manual"
             }
         });
+        await priceHistory.recordSnapshot(offer);
+        await pricing.recomputeComponentPrice(componentId);
         res.json(offer);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 };
 
+exports.updateOffer = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await prisma.offer.findUnique({ where: { id } });
+        if (!existing) return res.status(404).json({ error: "Offer not found" });
+
+        const { price, shipping, inStock, url, vendorName } = req.body;
+        const data = {};
+        if (price !== undefined) {
+            if (!(Number(price) > 0)) return res.status(400).json({ error: "price must be positive" });
+            data.price = Number(price);
+        }
+        if (shipping !== undefined) data.shipping = Number(shipping) || 0;
+        if (inStock !== undefined) data.in_stock = parseBool(inStock);
+        if (url !== undefined) data.url = url || "";
+        if (vendorName) {
+            const vendor = await vendors.resolveVendor(vendorName);
+            data.vendor = vendor ? vendor.name : vendorName;
+            data.vendorId = vendor ? vendor.id : null;
+        }
+
+        // Price/shipping badla to effective price bhi
+        if (data.price !== undefined || data.shipping !== undefined) {
+            data.effective_price = (data.price ?? existing.price) + (data.shipping ?? existing.shipping);
+        }
+        // Admin ne confirm kiya -> offer fresh
+        data.lastSeenAt = new Date();
+        data.is_stale = false;
+
+        const offer = await prisma.offer.update({ where: { id }, data });
+        await priceHistory.recordSnapshot(offer);
+        await pricing.recomputeComponentPrice(offer.componentId);
+
+        res.json({ ...offer, freshness: pricing.freshness(offer) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.deleteOffer = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await prisma.offer.findUnique({ where: { id } });
+        if (!existing) return res.status(404).json({ error: "Offer not found" });
+
+        // Price history bachi rehti hai (snapshot.offerId null ho jata hai)
+        await prisma.offer.delete({ where: { id } });
+        await pricing.recomputeComponentPrice(existing.componentId);
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.getPriceHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const days = parseNum(req.query.days) || 90;
+
+        const component = await prisma.component.findUnique({
+            where: { id },
+            select: { id: true }
+        });
+        if (!component) return res.status(404).json({ error: "Not found" });
+
+        const history = await priceHistory.getComponentHistory(id, { days });
+        res.json(history);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
 exports.deleteComponent = async (req, res) => {
     try {
         const { id } = req.params;
@@ -0,0 +1,101 @@
+const prisma = require('../config/db');
+const { startPriceTracker, cancelPriceTracker, getActiveRun } = require('../jobs/priceTracker');
+
+// Manual trigger: poora catalog ya sirf ek component ke links
+exports.triggerPriceTracker = async (req, res) => {
+    try {
+        const { componentId } = req.body || {};
+
+        if (componentId) {
+            const component = await prisma.component.findUnique({ where: { id: componentId }, select: { id: true } });
+            if (!component) return res.status(404).json({ error: "Component not found" });
+        }
+
+        const started = await startPriceTracker({ trigger: 'manual', componentId: componentId || null });
+        if (!started) {
+            return res.status(409).json({ error: "Price tracker is already running", run: getActiveRun() });
+        }
+
+        // Run background mein chalta rahega, response turant
+        started.finished.catch(error => console.error("[Job] 🔥 Manual run failed:", error.message));
+        res.status(202).json(started.run);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.cancelPriceTracker = async (req, res) => {
+    try {
+        const run = getActiveRun();
+        if (!cancelPriceTracker()) {
+            return res.status(409).json({ error: "Price tracker is not running" });
+        }
+        res.json({ success: true, run });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.getRuns = async (req, res) => {
+    try {
+        const { status, trigger, componentId } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 20, 100);
+        const offset = Number(req.query.offset) || 0;
+
+        const where = {};
+        if (status) where.status = status;
+        if (trigger) where.trigger = trigger;
+        if (componentId) where.componentId = componentId;
+
+        const [runs, total] = await Promise.all([
+            prisma.scrapeRun.findMany({
+                where,
+                orderBy: { startedAt: 'desc' },
+                skip: offset,
+                take: limit
+            }),
+            prisma.scrapeRun.count({ where })
+        ]);
+
+        res.json({ total, limit, offset, runs });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.getRunById = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { outcome, category } = req.query;
+
+        const run = await prisma.scrapeRun.findUnique({ where: { id } });
+        if (!run) return res.status(404).json({ error: "Not found" });
+
+        const attemptWhere = { runId: id };
+        if (outcome) attemptWhere.outcome = outcome;
+        if (category) attemptWhere.failureCategory = category;
+
+        const [attempts, breakdown] = await Promise.all([
+            prisma.scrapeAttempt.findMany({
+                where: attemptWhere,
+                orderBy: { createdAt: 'asc' }
+            }),
+            // Failure category wise count (broken links dhoondhne ke liye)
+            prisma.scrapeAttempt.groupBy({
+                by: ['failureCategory'],
+                where: { runId: id, outcome: 'FAILED' },
+                _count: { _all: true }
+            })
+        ]);
+
+        res.json({
+            ...run,
+            failuresByCategory: Object.fromEntries(
+                breakdown.map(b => [b.failureCategory || 'UNKNOWN', b._count._all])
+            ),
+            attempts
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
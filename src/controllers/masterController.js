@@ -27,24 +27,21 @@ const DIMENSIONS = {
   ],
 };
 
-const VENDORS = [
-  { id: "md", name: "MDComputers", trust: 86 },
-  { id: "prime", name: "PrimeABGB", trust: 82 },
-  { id: "ved", name: "Vedant Computers", trust: 78 },
-];
-
-const SOURCES = [
-  { id: "pcpt", name: "PCPriceTracker", type: "aggregator", baseUrl: "https://pcpricetracker.in" },
-  { id: "md", name: "MDComputers", type: "vendor", baseUrl: "https://mdcomputers.in" },
-  { id: "prime", name: "PrimeABGB", type: "vendor", baseUrl: "https://primeabgb.com" },
-  { id: "manual", name: "XO Rig Manual", type: "manual", baseUrl: "" },
-];
-
 exports.getInitData = async (req, res) => {
   try {
     const categories = await prisma.category.findMany();
+    // Vendors / sources ab DB entities hain (admin CRUD: /vendors, /sources)
+    const vendors = await prisma.vendor.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, trust: true },
+      orderBy: { trust: 'desc' }
+    });
+    const sources = await prisma.source.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, type: true, baseUrl: true }
+    });
     const rules = await prisma.compatibilityRule.findMany({
-      where: { enabled: true }
+      where: { isActive: true, deletedAt: null }
     });
 
     const specDefs = {};
@@ -57,8 +54,8 @@ exports.getInitData = async (req, res) => {
 
     res.json({
       dimensions: DIMENSIONS,
-      vendors: VENDORS,
-      sources: SOURCES,
+      vendors: vendors,
+      sources: sources,
       specDefs: specDefs,
       categoryKeys: categoryKeys,
       rules: rules,
@@ -0,0 +1,71 @@
+const performance = require('../logic/PerformanceService');
+
+// GET /components/value-ranking?type=GPU&metric=gaming&limit=20
+exports.getValueRanking = async (req, res) => {
+    try {
+        const type = String(req.query.type || '').toUpperCase();
+        const metric = String(req.query.metric || 'gaming').toLowerCase();
+
+        if (!performance.scoredTypes.includes(type)) {
+            return res.status(400).json({ error: `type must be one of ${performance.scoredTypes.join(', ')}` });
+        }
+        if (!performance.metrics.includes(metric)) {
+            return res.status(400).json({ error: `metric must be one of ${performance.metrics.join(', ')}` });
+        }
+        const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+        const ranking = await performance.valueRanking({ type, metric, limit });
+        res.json({ type, metric, unit: "score per ₹1000", ranking });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// PATCH /components/:id/performance  { gaming_score, productivity_score }
+exports.updatePerformance = async (req, res) => {
+    try {
+        const parsed = performance.parseScores(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const result = await performance.setScores(req.params.id, parsed.data);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// POST /components/performance/bulk  { scores: [{ componentId, gaming_score, productivity_score }] }
+exports.bulkUpdatePerformance = async (req, res) => {
+    try {
+        const { scores } = req.body;
+        if (!Array.isArray(scores) || scores.length === 0) {
+            return res.status(400).json({ error: "scores must be a non-empty array" });
+        }
+
+        const updated = [];
+        const rejected = [];
+        for (const entry of scores) {
+            const componentId = entry && entry.componentId;
+            if (!componentId) {
+                rejected.push({ componentId: null, error: "componentId is required" });
+                continue;
+            }
+
+            const parsed = performance.parseScores(entry);
+            if (parsed.error) {
+                rejected.push({ componentId, error: parsed.error });
+                continue;
+            }
+
+            const result = await performance.setScores(componentId, parsed.data);
+            if (result.error) rejected.push({ componentId, error: result.error });
+            else updated.push(result);
+        }
+
+        res.json({ updated, rejected });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
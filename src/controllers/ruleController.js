@@ -1,14 +1,62 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
-const jsonLogic = require('json-logic-js');
+const ruleEngine = require('../logic/RuleEngine');
+const ruleValidator = require('../logic/RuleValidator');
+const compatibility = require('../logic/CompatibilityService');
+
+const SEVERITIES = ['error', 'warn', 'info'];
+const VERSIONED_FIELDS = ['name', 'severity', 'message', 'appliesTo', 'logic', 'isActive'];
+
+// Rule ka immutable snapshot (CompatibilityRuleVersion row ke liye)
+const snapshot = (rule) => {
+    const data = {};
+    for (const field of VERSIONED_FIELDS) data[field] = rule[field];
+    return data;
+};
+
+// Rule update + naya version ek hi transaction mein
+// Deleted rule pe update -> P2025 (404), chahe beech mein delete hua ho
+const saveVersion = (id, data, changeNote) => prisma.$transaction(async (tx) => {
+    const rule = await tx.compatibilityRule.update({
+        where: { id, deletedAt: null },
+        data: { ...data, version: { increment: 1 } }
+    });
+    await tx.compatibilityRuleVersion.create({
+        data: { ruleId: id, version: rule.version, ...snapshot(rule), changeNote: changeNote || null }
+    });
+    return rule;
+});
+
+// Static validation fail -> 400 with JSON pointer locations
+const invalid = (res, errors) => res.status(400).json({ error: "Rule validation failed", details: errors });
 
 // 1. Create a New Rule
 exports.createRule = async (req, res) => {
     try {
-        const { name, severity, message, appliesTo, logic } = req.body;
+        const { name, severity, message, appliesTo, logic, changeNote } = req.body;
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: "name must be a non-empty string" });
+        }
+        if (!SEVERITIES.includes(severity)) {
+            return res.status(400).json({ error: `severity must be one of ${SEVERITIES.join(', ')}` });
+        }
+        const errors = ruleValidator.validate({ logic, appliesTo, message });
+        if (errors.length) return invalid(res, errors);
+
         const rule = await prisma.compatibilityRule.create({
-            data: { name, severity, message, appliesTo, logic }
+            data: {
+                name, severity, message, appliesTo, logic,
+                version: 1,
+                versions: {
+                    create: {
+                        version: 1, name, severity, message, appliesTo, logic,
+                        isActive: true,
+                        changeNote: changeNote || "Created"
+                    }
+                }
+            }
         });
+        ruleEngine.invalidate();
         res.json(rule);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -19,6 +67,7 @@ exports.createRule = async (req, res) => {
 exports.getRules = async (req, res) => {
     try {
         const rules = await prisma.compatibilityRule.findMany({
+            where: { deletedAt: null },
             orderBy: { createdAt: 'desc' }
         });
         res.json(rules);
@@ -27,58 +76,158 @@ exports.getRules = async (req, res) => {
     }
 };
 
+// Rule banane ke liye valid var paths + operators (Prisma schema se)
+exports.getRuleFields = async (req, res) => {
+    try {
+        const catalog = ruleValidator.fieldCatalog();
+        const fields = Object.entries(catalog).map(([path, meta]) => ({ path, ...meta }));
+        res.json({ slots: [...new Set(fields.map(f => f.slot))], operators: ruleValidator.operators, fields });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
 // 3. Validate Build (Main Logic)
 exports.validateBuild = async (req, res) => {
     try {
-        // Frontend se selected components aayenge
-        // e.g. { cpu: { socket: "AM5" }, motherboard: { socket: "LGA1700" } }
-        const buildContext = req.body; 
-        
-        const activeRules = await prisma.compatibilityRule.findMany({
-            where: { isActive: true }
+        // Frontend se har slot ka component id (ya purane tareeke se raw specs)
+        // e.g. { cpu: "<id>", motherboard: "<id>" }  ya  { cpu: { socket: "AM5" } }
+        const resolved = await compatibility.resolveBuild(req.body);
+        if (resolved.error) return res.status(resolved.status).json({ error: resolved.error });
+
+        // Wahi engine + rules jo build generation use karta hai
+        const rules = await ruleEngine.getRules();
+        const { valid, issues, results, system } = ruleEngine.explain(resolved.build, rules);
+
+        // isValid = koi "error" rule fail nahi hua (warn / info sirf issues mein)
+        res.json({
+            isValid: valid,
+            issues,
+            results,
+            parts: resolved.parts,
+            total_price: resolved.total_price,
+            unpriced: resolved.unpriced,
+            power: { estimated_w: system.power_w, recommended_psu_w: system.recommended_psu_w }
         });
 
-        const issues = [];
-
-        for (const rule of activeRules) {
-            // Check agar rule ke liye required components build mein hain ya nahi
-            const requiredComponents = rule.appliesTo || [];
-            const hasAllComponents = requiredComponents.every(
-                key => buildContext[key.toLowerCase()]
-            );
-
-            if (!hasAllComponents) continue; // Skip rule if parts missing
-
-            // Logic execute karo
-            // Rule logic example: { "==": [{"var": "cpu.socket"}, {"var": "motherboard.socket"}] }
-            // Agar result TRUE hai, matlab sab sahi hai. FALSE matlab error.
-            const passed = jsonLogic.apply(rule.logic, buildContext);
-
-            if (!passed) {
-                issues.push({
-                    ruleId: rule.id,
-                    severity: rule.severity,
-                    message: rule.message,
-                    components: rule.appliesTo
-                });
-            }
+    } catch (error) {
+        console.error("Validation Error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// 4. Update Rule (naya version banta hai)
+exports.updateRule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { changeNote } = req.body;
+        if (req.body.severity !== undefined && !SEVERITIES.includes(req.body.severity)) {
+            return res.status(400).json({ error: `severity must be one of ${SEVERITIES.join(', ')}` });
+        }
+
+        const data = {};
+        for (const field of VERSIONED_FIELDS) {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        }
+        if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim())) {
+            return res.status(400).json({ error: "name must be a non-empty string" });
+        }
+        if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+            return res.status(400).json({ error: "isActive must be a boolean" });
+        }
+        if (Object.keys(data).length === 0) {
+            return res.status(400).json({ error: `Provide at least one of ${VERSIONED_FIELDS.join(', ')}` });
+        }
+
+        // logic / appliesTo / message ek doosre pe depend karte hain -> merged rule validate karo
+        if (data.logic !== undefined || data.appliesTo !== undefined || data.message !== undefined) {
+            const current = await prisma.compatibilityRule.findFirst({ where: { id, deletedAt: null } });
+            if (!current) return res.status(404).json({ error: "Not found" });
+            const errors = ruleValidator.validate({ ...current, ...data });
+            if (errors.length) return invalid(res, errors);
         }
 
-        res.json({ isValid: issues.length === 0, issues });
+        const rule = await saveVersion(id, data, changeNote);
+        ruleEngine.invalidate();
+        res.json(rule);
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
 
+// 5. Enable / Disable
+exports.toggleRule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const current = await prisma.compatibilityRule.findFirst({ where: { id, deletedAt: null }, select: { isActive: true } });
+        if (!current) return res.status(404).json({ error: "Not found" });
+
+        const isActive = !current.isActive;
+        const rule = await saveVersion(id, { isActive }, req.body.changeNote || (isActive ? "Enabled" : "Disabled"));
+        ruleEngine.invalidate();
+        res.json(rule);
     } catch (error) {
-        console.error("Validation Error:", error);
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
         res.status(500).json({ error: error.message });
     }
 };
 
-// 4. Delete Rule
+// 6. Version history (naya pehle) - deleted rule ki history bhi milti hai
+exports.getRuleVersions = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const rule = await prisma.compatibilityRule.findUnique({ where: { id } });
+        if (!rule) return res.status(404).json({ error: "Not found" });
+
+        const versions = await prisma.compatibilityRuleVersion.findMany({
+            where: { ruleId: id },
+            orderBy: { version: 'desc' }
+        });
+        res.json({ rule, versions });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// 7. Rollback: purane version ka content naye version ke roop mein (history kabhi rewrite nahi hoti)
+exports.rollbackRule = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const version = Number(req.body.version);
+        if (!Number.isInteger(version) || version < 1) {
+            return res.status(400).json({ error: "version must be a positive integer" });
+        }
+
+        const target = await prisma.compatibilityRuleVersion.findUnique({
+            where: { ruleId_version: { ruleId: id, version } }
+        });
+        if (!target) return res.status(404).json({ error: `Version ${version} not found for this rule` });
+
+        // Purana version aaj ke schema pe bhi valid hona chahiye (field rename / removal)
+        const errors = ruleValidator.validate(target);
+        if (errors.length) return invalid(res, errors);
+
+        const rule = await saveVersion(id, snapshot(target), req.body.changeNote || `Rolled back to v${version}`);
+        ruleEngine.invalidate();
+        res.json(rule);
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// 8. Delete Rule (soft: deletedAt set + naya version, history kabhi delete nahi hoti)
+// Deleted rule list / engine se gayab; toggle / update / rollback / dobara delete -> 404
 exports.deleteRule = async (req, res) => {
     try {
         const { id } = req.params;
-        await prisma.compatibilityRule.delete({ where: { id } });
-        res.json({ success: true });
+        const { changeNote } = req.body || {};
+        const rule = await saveVersion(id, { isActive: false, deletedAt: new Date() }, changeNote || "Deleted");
+        ruleEngine.invalidate();
+        res.json({ success: true, rule });
     } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
         res.status(500).json({ error: error.message });
     }
-};
\ No newline at end of file
+};
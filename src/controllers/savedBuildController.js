@@ -0,0 +1,132 @@
+const prisma = require('../config/db');
+const savedBuilds = require('../logic/SavedBuildService');
+
+// label / owner / profileId / budget -> Prisma data. Return: { data } ya { error }
+const buildFields = (body) => {
+    const data = {};
+    if (body.label !== undefined) data.label = body.label || null;
+    if (body.owner !== undefined) data.owner = body.owner || null;
+    if (body.profileId !== undefined) data.profileId = body.profileId ? String(body.profileId).trim().toUpperCase() : null;
+    if (body.budget !== undefined && body.budget !== null) {
+        const budget = Number(body.budget);
+        if (!Number.isInteger(budget) || budget <= 0) return { error: "budget must be a positive integer" };
+        data.budget = budget;
+    } else if (body.budget === null) {
+        data.budget = null;
+    }
+    return { data };
+};
+
+exports.getBuilds = async (req, res) => {
+    try {
+        const { owner } = req.query;
+        const builds = await prisma.build.findMany({
+            where: owner ? { owner } : {},
+            include: { items: true },
+            orderBy: { createdAt: 'desc' }
+        });
+        res.json(builds);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Fetch = current prices pe reprice (delta, out-of-stock parts, compatibility)
+exports.getBuildById = async (req, res) => {
+    try {
+        const build = await savedBuilds.findById(req.params.id);
+        if (!build) return res.status(404).json({ error: "Not found" });
+        res.json(await savedBuilds.reprice(build));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Public share link (share DTO: id / owner / clone source nahi)
+exports.getSharedBuild = async (req, res) => {
+    try {
+        const build = await savedBuilds.findBySlug(req.params.slug);
+        if (!build) return res.status(404).json({ error: "Not found" });
+        res.json(savedBuilds.shareView(await savedBuilds.reprice(build)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Body: { label, owner, profileId, budget, parts: { cpu: "<id>", gpu: { id, owned: true }, ... } }
+// parts = generate response ka data.builds[i].parts bhi chalega
+exports.createBuild = async (req, res) => {
+    try {
+        const fields = buildFields(req.body);
+        if (fields.error) return res.status(400).json({ error: fields.error });
+
+        const resolved = await savedBuilds.resolveParts(req.body.parts);
+        if (resolved.error) return res.status(resolved.status).json({ error: resolved.error });
+
+        const items = Object.values(resolved.items).filter(Boolean);
+        if (items.length === 0) return res.status(400).json({ error: "parts must include at least one component" });
+
+        const build = await savedBuilds.create(fields.data, items);
+        res.json(build);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// parts sirf diye gaye slots badalta hai; slot: null = hatao
+exports.updateBuild = async (req, res) => {
+    try {
+        const fields = buildFields(req.body);
+        if (fields.error) return res.status(400).json({ error: fields.error });
+
+        let items = null;
+        if (req.body.parts !== undefined) {
+            const resolved = await savedBuilds.resolveParts(req.body.parts);
+            if (resolved.error) return res.status(resolved.status).json({ error: resolved.error });
+            items = resolved.items;
+        }
+
+        const build = await savedBuilds.update(req.params.id, fields.data, items);
+        if (!build) return res.status(404).json({ error: "Not found" });
+        res.json(build);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Clone (kisi ka shared build apne naam se) - aaj ke prices pe save hota hai
+exports.cloneBuild = async (req, res) => {
+    try {
+        const source = await savedBuilds.findById(req.params.id);
+        if (!source) return res.status(404).json({ error: "Not found" });
+
+        const build = await savedBuilds.clone(source, { owner: req.body.owner, label: req.body.label });
+        res.json(build);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Share link se clone (link dekhne wale ke paas build id nahi hoti)
+exports.cloneSharedBuild = async (req, res) => {
+    try {
+        const source = await savedBuilds.findBySlug(req.params.slug);
+        if (!source) return res.status(404).json({ error: "Not found" });
+
+        // Sharer ka owner copy nahi hota; clonedFromId (source ki id) response mein nahi
+        const { clonedFromId, ...build } = await savedBuilds.clone(source, { owner: req.body.owner || null, label: req.body.label });
+        res.json(build);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.deleteBuild = async (req, res) => {
+    try {
+        await prisma.build.delete({ where: { id: req.params.id } });
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
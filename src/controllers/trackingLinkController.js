@@ -0,0 +1,185 @@
+const prisma = require('../config/db');
+const trackingLinks = require('../logic/TrackingLinkService');
+const { parseBool } = require('../utils/parsers');
+
+// Optional scheduling fields (interval/priority/isActive) body se uthao
+const scheduleFields = (body) => {
+    const data = {};
+    if (body.checkIntervalMinutes !== undefined) {
+        const interval = Number(body.checkIntervalMinutes);
+        if (!Number.isInteger(interval) || interval < 1) return { error: "checkIntervalMinutes must be a positive integer" };
+        data.checkIntervalMinutes = interval;
+    }
+    if (body.priority !== undefined) {
+        const priority = Number(body.priority);
+        if (!Number.isInteger(priority)) return { error: "priority must be an integer" };
+        data.priority = priority;
+    }
+    if (body.isActive !== undefined) data.isActive = parseBool(body.isActive);
+    return { data };
+};
+
+const componentExists = async (id) =>
+    Boolean(await prisma.component.findUnique({ where: { id }, select: { id: true } }));
+
+exports.getTrackingLinks = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!(await componentExists(id))) return res.status(404).json({ error: "Component not found" });
+
+        const links = await prisma.externalId.findMany({
+            where: { componentId: id },
+            orderBy: { createdAt: 'asc' }
+        });
+        res.json(await trackingLinks.withLastCheck(links));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.createTrackingLink = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!(await componentExists(id))) return res.status(404).json({ error: "Component not found" });
+
+        const { url, adapter, error } = trackingLinks.validateUrl(req.body.url);
+        if (error) return res.status(400).json({ error });
+
+        const schedule = scheduleFields(req.body);
+        if (schedule.error) return res.status(400).json({ error: schedule.error });
+
+        const duplicate = await trackingLinks.findDuplicate(url);
+        if (duplicate) {
+            return res.status(409).json({ error: "Tracking link already exists", existing: duplicate });
+        }
+
+        const link = await prisma.externalId.create({
+            data: {
+                componentId: id,
+                externalUrl: url,
+                sourceId: req.body.sourceId || adapter.id,
+                ...schedule.data
+            }
+        });
+        res.json(link);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Body: { links: ["https://...", { url, priority, checkIntervalMinutes }] }
+// Valid links create hote hain, baaki `rejected` mein reason ke saath wapas
+exports.bulkCreateTrackingLinks = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const input = req.body.links;
+        if (!Array.isArray(input) || input.length === 0) {
+            return res.status(400).json({ error: "links must be a non-empty array" });
+        }
+        if (!(await componentExists(id))) return res.status(404).json({ error: "Component not found" });
+
+        const rejected = [];
+        const toCreate = [];
+        const seen = new Set();
+
+        for (const item of input) {
+            const body = typeof item === 'string' ? { url: item } : (item || {});
+            const { url, adapter, error } = trackingLinks.validateUrl(body.url);
+            if (error) {
+                rejected.push({ url: body.url, reason: error });
+                continue;
+            }
+
+            const schedule = scheduleFields(body);
+            if (schedule.error) {
+                rejected.push({ url: body.url, reason: schedule.error });
+                continue;
+            }
+
+            if (seen.has(url)) {
+                rejected.push({ url: body.url, reason: "Duplicate in request" });
+                continue;
+            }
+            seen.add(url);
+
+            const duplicate = await trackingLinks.findDuplicate(url);
+            if (duplicate) {
+                rejected.push({ url: body.url, reason: "Tracking link already exists", existing: duplicate });
+                continue;
+            }
+
+            toCreate.push({
+                componentId: id,
+                externalUrl: url,
+                sourceId: body.sourceId || adapter.id,
+                ...schedule.data
+            });
+        }
+
+        const created = await prisma.$transaction(
+            toCreate.map(data => prisma.externalId.create({ data }))
+        );
+
+        res.json({ created, rejected });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.updateTrackingLink = async (req, res) => {
+    try {
+        const { id, linkId } = req.params;
+        const existing = await prisma.externalId.findFirst({ where: { id: linkId, componentId: id } });
+        if (!existing) return res.status(404).json({ error: "Tracking link not found" });
+
+        const schedule = scheduleFields(req.body);
+        if (schedule.error) return res.status(400).json({ error: schedule.error });
+
+        const data = { ...schedule.data };
+        if (req.body.sourceId !== undefined) data.sourceId = req.body.sourceId || null;
+
+        if (req.body.url !== undefined) {
+            const { url, error } = trackingLinks.validateUrl(req.body.url);
+            if (error) return res.status(400).json({ error });
+
+            const duplicate = await trackingLinks.findDuplicate(url, linkId);
+            if (duplicate) {
+                return res.status(409).json({ error: "Tracking link already exists", existing: duplicate });
+            }
+            data.externalUrl = url;
+        }
+
+        const link = await prisma.externalId.update({ where: { id: linkId }, data });
+        res.json(link);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Pause / resume
+exports.toggleTrackingLink = async (req, res) => {
+    try {
+        const { id, linkId } = req.params;
+        const existing = await prisma.externalId.findFirst({ where: { id: linkId, componentId: id } });
+        if (!existing) return res.status(404).json({ error: "Tracking link not found" });
+
+        const link = await prisma.externalId.update({
+            where: { id: linkId },
+            data: { isActive: !existing.isActive }
+        });
+        res.json(link);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.deleteTrackingLink = async (req, res) => {
+    try {
+        const { id, linkId } = req.params;
+        const { count } = await prisma.externalId.deleteMany({ where: { id: linkId, componentId: id } });
+        if (count === 0) return res.status(404).json({ error: "Tracking link not found" });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
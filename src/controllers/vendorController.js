@@ -0,0 +1,161 @@
+const prisma = require('../config/db');
+const vendors = require('../logic/VendorService');
+const pricing = require('../logic/PricingService');
+const { parseBool } = require('../utils/parsers');
+
+const SOURCE_TYPES = ['aggregator', 'vendor', 'scraper', 'manual'];
+
+const toStringArray = (val) => (Array.isArray(val) ? val.map(String) : undefined);
+
+const vendorData = (body) => {
+    const data = {};
+    if (body.name !== undefined) data.name = body.name;
+    if (body.aliases !== undefined) data.aliases = toStringArray(body.aliases) || [];
+    if (body.domains !== undefined) data.domains = (toStringArray(body.domains) || []).map(d => d.toLowerCase());
+    if (body.trust !== undefined) data.trust = Math.max(0, Math.min(100, Number(body.trust) || 0));
+    if (body.isActive !== undefined) data.isActive = parseBool(body.isActive);
+    if (body.shipping_flat !== undefined) data.shipping_flat = Number(body.shipping_flat) || 0;
+    if (body.free_shipping_above !== undefined) {
+        data.free_shipping_above = body.free_shipping_above === null || body.free_shipping_above === ""
+            ? null
+            : Number(body.free_shipping_above);
+    }
+    return data;
+};
+
+// Shipping/trust badle to offers ka effective price aur components ka best price dobara
+const repriceVendor = async (vendorId) => {
+    const componentIds = await vendors.repriceVendorOffers(vendorId);
+    for (const componentId of componentIds) {
+        await pricing.recomputeComponentPrice(componentId);
+    }
+    return componentIds.length;
+};
+
+// --- VENDORS ---
+
+exports.getVendors = async (req, res) => {
+    try {
+        const list = await prisma.vendor.findMany({
+            orderBy: { name: 'asc' },
+            include: { _count: { select: { offers: true } } }
+        });
+        res.json(list);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.createVendor = async (req, res) => {
+    try {
+        const { id, name } = req.body;
+        if (!id || !name) return res.status(400).json({ error: "id and name are required" });
+
+        const vendor = await prisma.vendor.create({
+            data: { id, ...vendorData(req.body) }
+        });
+        vendors.invalidate();
+        res.json(vendor);
+    } catch (error) {
+        if (error.code === 'P2002') return res.status(409).json({ error: "Vendor id or name already exists" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.updateVendor = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const data = vendorData(req.body);
+
+        const vendor = await prisma.vendor.update({ where: { id }, data });
+        vendors.invalidate();
+
+        const pricingChanged = ['trust', 'isActive', 'shipping_flat', 'free_shipping_above'].some(k => k in data);
+        const repriced = pricingChanged ? await repriceVendor(id) : 0;
+
+        res.json({ ...vendor, repricedComponents: repriced });
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        if (error.code === 'P2002') return res.status(409).json({ error: "Vendor name already exists" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.deleteVendor = async (req, res) => {
+    try {
+        const { id } = req.params;
+        // Offers bache rehte hain (vendorId null ho jata hai), sirf best price dobara calculate
+        const offers = await prisma.offer.findMany({ where: { vendorId: id }, select: { componentId: true } });
+        await prisma.vendor.delete({ where: { id } });
+        vendors.invalidate();
+
+        for (const componentId of new Set(offers.map(o => o.componentId))) {
+            await pricing.recomputeComponentPrice(componentId);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// --- SOURCES ---
+
+exports.getSources = async (req, res) => {
+    try {
+        const list = await prisma.source.findMany({ orderBy: { name: 'asc' } });
+        res.json(list);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.createSource = async (req, res) => {
+    try {
+        const { id, name, type, baseUrl, isActive } = req.body;
+        if (!id || !name || !type) return res.status(400).json({ error: "id, name and type are required" });
+        if (!SOURCE_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of ${SOURCE_TYPES.join(', ')}` });
+        }
+
+        const source = await prisma.source.create({
+            data: { id, name, type, baseUrl: baseUrl || "", isActive: parseBool(isActive) ?? true }
+        });
+        res.json(source);
+    } catch (error) {
+        if (error.code === 'P2002') return res.status(409).json({ error: "Source id already exists" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.updateSource = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, type, baseUrl, isActive } = req.body;
+        if (type !== undefined && !SOURCE_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of ${SOURCE_TYPES.join(', ')}` });
+        }
+
+        const data = {};
+        if (name !== undefined) data.name = name;
+        if (type !== undefined) data.type = type;
+        if (baseUrl !== undefined) data.baseUrl = baseUrl || "";
+        if (isActive !== undefined) data.isActive = parseBool(isActive);
+
+        const source = await prisma.source.update({ where: { id }, data });
+        res.json(source);
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.deleteSource = async (req, res) => {
+    try {
+        await prisma.source.delete({ where: { id: req.params.id } });
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
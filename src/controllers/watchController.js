@@ -0,0 +1,139 @@
+const prisma = require('../config/db');
+const { CHANNELS } = require('../utils/notifier');
+const { parseBool } = require('../utils/parsers');
+
+exports.getWatches = async (req, res) => {
+    try {
+        const { componentId, label, active } = req.query;
+        const where = {};
+        if (componentId) where.componentId = componentId;
+        if (label) where.label = label;
+        if (active !== undefined) where.isActive = active === 'true';
+
+        const watches = await prisma.priceWatch.findMany({
+            where,
+            include: {
+                component: { select: { brand: true, model: true, variant: true, price_current: true } }
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+        res.json(watches);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.getWatchById = async (req, res) => {
+    try {
+        const watch = await prisma.priceWatch.findUnique({
+            where: { id: req.params.id },
+            include: { alerts: { orderBy: { createdAt: 'desc' }, take: 20 } }
+        });
+        if (!watch) return res.status(404).json({ error: "Not found" });
+        res.json(watch);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.createWatch = async (req, res) => {
+    try {
+        const { componentId, targetPrice, vendor, label, channel, destination } = req.body;
+        const target = Number(targetPrice);
+
+        if (!componentId || !target || target <= 0) {
+            return res.status(400).json({ error: "componentId and a positive targetPrice are required" });
+        }
+        if (channel && !CHANNELS.includes(channel)) {
+            return res.status(400).json({ error: `channel must be one of ${CHANNELS.join(', ')}` });
+        }
+
+        const component = await prisma.component.findUnique({ where: { id: componentId }, select: { id: true } });
+        if (!component) return res.status(404).json({ error: "Component not found" });
+
+        const watch = await prisma.priceWatch.create({
+            data: {
+                componentId,
+                targetPrice: target,
+                vendor: vendor || null,
+                label: label || null,
+                channel: channel || 'webhook',
+                destination: destination || null
+            }
+        });
+        res.json(watch);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.updateWatch = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { targetPrice, vendor, label, channel, destination, isActive } = req.body;
+
+        if (channel !== undefined && !CHANNELS.includes(channel)) {
+            return res.status(400).json({ error: `channel must be one of ${CHANNELS.join(', ')}` });
+        }
+
+        const data = {};
+        if (targetPrice !== undefined) {
+            const target = Number(targetPrice);
+            if (!target || target <= 0) return res.status(400).json({ error: "targetPrice must be positive" });
+            data.targetPrice = target;
+            // Naya target -> dedup state reset + nayi arm generation, taaki naye target pe alert aa sake
+            data.lastAlertedPrice = null;
+            data.armedAt = new Date();
+        }
+        if (vendor !== undefined) data.vendor = vendor || null;
+        if (label !== undefined) data.label = label || null;
+        if (channel !== undefined) data.channel = channel;
+        if (destination !== undefined) data.destination = destination || null;
+        if (isActive !== undefined) {
+            data.isActive = parseBool(isActive);
+            // Paused watch dobara active = fresh watch (pause se pehle ke alerts ka dedup nahi lagna chahiye)
+            if (data.isActive) {
+                const existing = await prisma.priceWatch.findUnique({ where: { id }, select: { isActive: true } });
+                if (!existing) return res.status(404).json({ error: "Not found" });
+                if (!existing.isActive) {
+                    data.lastAlertedPrice = null;
+                    data.armedAt = new Date();
+                }
+            }
+        }
+
+        const watch = await prisma.priceWatch.update({ where: { id }, data });
+        res.json(watch);
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.deleteWatch = async (req, res) => {
+    try {
+        await prisma.priceWatch.delete({ where: { id: req.params.id } });
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === 'P2025') return res.status(404).json({ error: "Not found" });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+exports.getAlerts = async (req, res) => {
+    try {
+        const { status, watchId } = req.query;
+        const where = {};
+        if (status) where.status = status;
+        if (watchId) where.watchId = watchId;
+
+        const alerts = await prisma.alertOutbox.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take: 100
+        });
+        res.json(alerts);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
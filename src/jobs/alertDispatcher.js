@@ -0,0 +1,42 @@
+// src/jobs/alertDispatcher.js
+const prisma = require('../config/db');
+const { deliver } = require('../utils/notifier');
+
+const MAX_ATTEMPTS = Number(process.env.ALERT_MAX_ATTEMPTS) || 5;
+
+// Outbox se PENDING (aur retry-able FAILED) alerts uthao aur deliver karo
+async function dispatchPendingAlerts({ limit = 100 } = {}) {
+    const pending = await prisma.alertOutbox.findMany({
+        where: {
+            status: { in: ['PENDING', 'FAILED'] },
+            attempts: { lt: MAX_ATTEMPTS }
+        },
+        orderBy: { createdAt: 'asc' },
+        take: limit
+    });
+
+    let sent = 0;
+    for (const alert of pending) {
+        try {
+            await deliver(alert);
+            await prisma.alertOutbox.update({
+                where: { id: alert.id },
+                data: { status: 'SENT', sentAt: new Date(), attempts: { increment: 1 }, lastError: null }
+            });
+            sent++;
+        } catch (error) {
+            console.error(`[Alerts] ❌ Delivery failed for ${alert.id}: ${error.message}`);
+            await prisma.alertOutbox.update({
+                where: { id: alert.id },
+                data: { status: 'FAILED', attempts: { increment: 1 }, lastError: error.message }
+            });
+        }
+    }
+
+    if (pending.length > 0) {
+        console.log(`[Alerts] 📬 Dispatched ${sent}/${pending.length} alerts`);
+    }
+    return { processed: pending.length, sent };
+}
+
+module.exports = { dispatchPendingAlerts };
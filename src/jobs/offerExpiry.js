@@ -0,0 +1,41 @@
+// src/jobs/offerExpiry.js
+// Jo offers OFFER_STALE_AFTER_HOURS se refresh nahi hue unko stale mark karo.
+//   OFFER_STALE_ACTION=out_of_stock  stale ke saath in_stock=false bhi (default: sirf stale)
+//   OFFER_EXPIRY_INCLUDE_MANUAL=true manual offers bhi expire honge (default: sirf scraper offers)
+const prisma = require('../config/db');
+const pricing = require('../logic/PricingService');
+const priceHistory = require('../logic/PriceHistoryService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function expireStaleOffers() {
+    const cutoff = new Date(Date.now() - pricing.staleAfterHours * HOUR_MS);
+    const markOutOfStock = process.env.OFFER_STALE_ACTION === 'out_of_stock';
+
+    const where = {
+        is_stale: false,
+        lastSeenAt: { lt: cutoff },
+        ...(process.env.OFFER_EXPIRY_INCLUDE_MANUAL === 'true' ? {} : { sourceId: 'scraper-auto' })
+    };
+
+    const expiring = await prisma.offer.findMany({ where });
+    if (expiring.length === 0) return { expired: 0 };
+
+    for (const offer of expiring) {
+        const updated = await prisma.offer.update({
+            where: { id: offer.id },
+            data: markOutOfStock ? { is_stale: true, in_stock: false } : { is_stale: true }
+        });
+        if (markOutOfStock) await priceHistory.recordSnapshot(updated);
+    }
+
+    const componentIds = [...new Set(expiring.map(o => o.componentId))];
+    for (const componentId of componentIds) {
+        await pricing.recomputeComponentPrice(componentId);
+    }
+
+    console.log(`[Job] 🧊 Expired ${expiring.length} stale offers (${componentIds.length} components)`);
+    return { expired: expiring.length, components: componentIds.length };
+}
+
+module.exports = { expireStaleOffers };
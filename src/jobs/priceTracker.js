@@ -3,97 +3,354 @@ const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 // Ensure the path to scraper is correct based on your folder structure
 const { scrapeUrl } = require('../utils/scraper'); 
+const priceHistory = require('../logic/PriceHistoryService');
+const alertService = require('../logic/AlertService');
+const pricing = require('../logic/PricingService');
+const vendors = require('../logic/VendorService');
+const { dispatchPendingAlerts } = require('./alertDispatcher');
+const browserPool = require('../utils/browserPool');
+const { findAdapter } = require('../utils/vendors');
+const { isRetryable } = require('../utils/scrapeErrors');
+const { withRetry, runWithConcurrency, DomainThrottle } = require('../utils/taskRunner');
+const { acquireLock, extendLock, releaseLock } = require('../utils/jobLock');
+
+const CONCURRENCY = Number(process.env.SCRAPER_CONCURRENCY) || 4;
+const MAX_RETRIES = Number(process.env.SCRAPE_MAX_RETRIES ?? 2);
+const RETRY_BASE_MS = Number(process.env.SCRAPE_RETRY_BASE_MS) || 2000;
+
+// Cron aur manual runs dono ye lock lete hain, multiple instances pe bhi overlap nahi hoga
+const LOCK_NAME = 'price-tracker';
+const LOCK_TTL_MS = Number(process.env.PRICE_TRACKER_LOCK_TTL_MS) || 30 * 60 * 1000;
+
+// Same vendor pe requests ke beech gap (IP block se bachne ke liye),
+// alag vendors parallel chalte hain. Adapter apna minIntervalMs de sakta hai.
+const domainThrottle = new DomainThrottle(Number(process.env.SCRAPE_DOMAIN_INTERVAL_MS) || 3000);
+
+// Currently chal raha run (cancel karne ke liye)
+let activeRun = null;
+
+const throttleKeyFor = (url) => {
+    const adapter = findAdapter(url);
+    if (adapter) return { key: adapter.id, intervalMs: adapter.minIntervalMs };
+    try {
+        return { key: new URL(url).hostname, intervalMs: undefined };
+    } catch {
+        return { key: url, intervalMs: undefined };
+    }
+};
+
+// Links ko domain-wise round robin karo, taaki saare workers ek hi vendor ke throttle pe na atke
+const interleaveByDomain = (links) => {
+    const groups = new Map();
+    for (const link of links) {
+        const { key } = throttleKeyFor(link.externalUrl);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(link);
+    }
+    const queues = [...groups.values()];
+    const ordered = [];
+    for (let i = 0; ordered.length < links.length; i++) {
+        for (const queue of queues) {
+            if (i < queue.length) ordered.push(queue[i]);
+        }
+    }
+    return ordered;
+};
+
+// Heartbeat: link check hua (success ho ya fail), taaki scheduler usse dobara turant na uthaye
+const markChecked = (link) => prisma.externalId.update({
+    where: { id: link.id },
+    data: { lastCheckedAt: new Date() }
+});
+
+// ScrapeError.category -> ScrapeAttempt.failureCategory
+const categorize = (error) => {
+    if (error.name === 'AbortError') return 'CANCELLED';
+    if (error.code === 'UNSUPPORTED_VENDOR') return 'UNSUPPORTED_VENDOR';
+    return error.category || 'UNKNOWN';
+};
+
+// Ek link process karo. Result object hamesha return hota hai (throw nahi),
+// taaki run history mein har link ka outcome record ho sake.
+async function processSingleLink(link, { signal } = {}) {
+    const start = Date.now();
+    let retries = 0;
+    const result = (fields) => ({ durationMs: Date.now() - start, retries, ...fields });
 
-async function processSingleLink(link) {
     try {
         console.log(`[Job] 🔎 Processing: ${link.externalUrl}`);
         
-        // 1. Scrape Data
-        const data = await scrapeUrl(link.externalUrl);
+        // 1. Scrape Data (per-domain throttle + transient failures pe exponential backoff)
+        const { key, intervalMs } = throttleKeyFor(link.externalUrl);
+        const data = await withRetry(async () => {
+            await domainThrottle.wait(key, intervalMs, signal);
+            return scrapeUrl(link.externalUrl);
+        }, {
+            retries: MAX_RETRIES,
+            baseDelayMs: RETRY_BASE_MS,
+            signal,
+            shouldRetry: isRetryable,
+            onRetry: (error, attempt, delay) => {
+                retries = attempt;
+                console.log(`[Job] 🔁 Retry ${attempt}/${MAX_RETRIES} in ${delay}ms (${error.category}): ${link.externalUrl}`);
+            }
+        });
         
         // Validation: If scrape failed or price is 0
         if (!data || !data.price || data.price === 0) {
             console.log(`[Job] ⚠️ Skipped (No Data/Zero Price): ${link.externalUrl}`);
-            return;
+            await markChecked(link);
+            return result({ outcome: 'FAILED', failureCategory: 'ZERO_PRICE', vendor: data?.vendor, price: 0, inStock: data?.inStock });
         }
 
-        const vendorName = data.vendor || "Unknown";
+        // Adapter ka vendor id ("mdcomputers") -> canonical Vendor row
+        const vendor = await vendors.resolveVendor(data.vendor) || await vendors.resolveVendor(link.externalUrl);
+        const vendorName = vendor ? vendor.name : (data.vendor || "Unknown");
+        const shipping = vendors.shippingFor(vendor, data.price);
         
         // 2. Update DB (Offers Table)
         // Check if we already have an offer for this Component + Vendor
+        // (purane rows mein sirf scraper wala vendor string hai, vendorId nahi)
         const existingOffer = await prisma.offer.findFirst({
             where: {
                 componentId: link.componentId,
-                vendor: vendorName // ✅ FIXED: Schema uses 'vendor', not 'vendorId'
+                OR: [
+                    ...(vendor ? [{ vendorId: vendor.id }] : []),
+                    { vendor: vendorName },
+                    ...(data.vendor ? [{ vendor: data.vendor }] : [])
+                ]
             }
         });
 
+        let offer;
         if (existingOffer) {
             // Update existing offer
-            await prisma.offer.update({
+            offer = await prisma.offer.update({
                 where: { id: existingOffer.id },
                 data: {
+                    vendor: vendorName,
+                    vendorId: vendor ? vendor.id : null,
                     price: data.price,
-                    effective_price: data.price, // Assuming free shipping or same logic
+                    shipping,
+                    effective_price: data.price + shipping, // Vendor shipping rules se
                     in_stock: data.inStock,
                     url: link.externalUrl, // Ensure URL is up to date
+                    lastSeenAt: new Date(),
+                    is_stale: false,
                     updatedAt: new Date()
                 }
             });
             console.log(`[Job] ✅ Offer Updated: ₹${data.price} (${vendorName})`);
         } else {
             // Create new offer
-            await prisma.offer.create({
+            offer = await prisma.offer.create({
                 data: {
                     componentId: link.componentId,
                     vendor: vendorName, // ✅ FIXED: Schema uses 'vendor'
+                    vendorId: vendor ? vendor.id : null,
                     price: data.price,
-                    effective_price: data.price,
+                    effective_price: data.price + shipping,
                     in_stock: data.inStock,
                     url: link.externalUrl, // ✅ FIXED: Schema uses 'url', not 'vendor_url'
                     sourceId: "scraper-auto",
-                    shipping: 0
+                    shipping
                 }
             });
             console.log(`[Job] ✅ New Offer Created: ₹${data.price} (${vendorName})`);
         }
 
+        // Price history (sirf change hone par naya snapshot banta hai)
+        await priceHistory.recordSnapshot(offer);
+
+        // Component.price_current / bestOffer refresh
+        await pricing.recomputeComponentPrice(link.componentId);
+
+        // Price-drop watches check karo (alerts outbox mein jaate hain)
+        await alertService.evaluateComponent(link.componentId);
+
         // 3. Update ExternalId timestamp (Heartbeat)
-        await prisma.externalId.update({
-            where: { id: link.id },
-            data: { lastCheckedAt: new Date() }
-        });
+        await markChecked(link);
+
+        return result({ outcome: 'SUCCESS', vendor: vendorName, price: data.price, inStock: data.inStock });
 
     } catch (error) {
+        const failureCategory = categorize(error);
+        if (failureCategory === 'CANCELLED') {
+            console.log(`[Job] 🛑 Cancelled: ${link.externalUrl}`);
+            return result({ outcome: 'SKIPPED', failureCategory });
+        }
         console.error(`[Job] ❌ Error processing link ${link.id}: ${error.message}`);
+        await markChecked(link).catch(() => {});
+        return result({ outcome: 'FAILED', failureCategory, error: error.message });
     }
 }
 
-async function runPriceTracker() {
-    console.log("[Job] 🚀 Bulk Tracker Started");
+// Attempt row likho + run counters update karo
+async function recordAttempt(run, link, attempt) {
+    try {
+        await prisma.scrapeAttempt.create({
+            data: {
+                runId: run.id,
+                externalIdId: link.id,
+                componentId: link.componentId,
+                url: link.externalUrl,
+                outcome: attempt.outcome,
+                failureCategory: attempt.failureCategory || null,
+                vendor: attempt.vendor || null,
+                price: attempt.price ?? null,
+                inStock: attempt.inStock ?? null,
+                retries: attempt.retries,
+                durationMs: attempt.durationMs,
+                error: attempt.error || null
+            }
+        });
+
+        if (attempt.outcome !== 'SKIPPED') {
+            await prisma.scrapeRun.update({
+                where: { id: run.id },
+                data: attempt.outcome === 'SUCCESS'
+                    ? { succeeded: { increment: 1 } }
+                    : { failed: { increment: 1 } }
+            });
+        }
+    } catch (error) {
+        console.error(`[Job] ❌ Could not record attempt for ${link.id}: ${error.message}`);
+    }
+}
+
+// Run shuru karo aur turant return karo: { run, finished }.
+// Agar pehle se run chal raha hai (is process mein ya kisi aur instance mein) to null.
+// `links` diye hain to sirf wahi process honge (scheduler due links bhejta hai).
+async function startPriceTracker({ trigger = 'cron', componentId = null, links = null, signal } = {}) {
+    if (activeRun) {
+        console.log("[Job] ⏳ Tracker already running, skipping");
+        return null;
+    }
+
+    const controller = new AbortController();
+    if (signal) signal.addEventListener('abort', () => controller.abort(), { once: true });
+    activeRun = { controller, run: null, lockOwner: null };
+
+    let run;
+    try {
+        activeRun.lockOwner = await acquireLock(LOCK_NAME, LOCK_TTL_MS);
+        if (!activeRun.lockOwner) {
+            console.log("[Job] 🔒 Tracker locked by another instance, skipping");
+            activeRun = null;
+            return null;
+        }
+
+        run = await prisma.scrapeRun.create({
+            data: { trigger, componentId }
+        });
+        activeRun.run = run;
+    } catch (error) {
+        if (activeRun.lockOwner) await releaseLock(LOCK_NAME, activeRun.lockOwner).catch(() => {});
+        activeRun = null;
+        throw error;
+    }
+
+    const finished = executeRun(run, links, activeRun.lockOwner, controller);
+    return { run, finished };
+}
+
+async function executeRun(run, links, lockOwner, controller) {
+    console.log(`[Job] 🚀 Bulk Tracker Started (run ${run.id}, ${run.trigger})`);
+    const { signal } = controller;
+    let status = 'COMPLETED';
+    let runError = null;
+    let lockLost = false;
+
+    // Long run ke dauraan lock lease renew karte raho. Lease chala gaya (TTL nikal gaya, dusre
+    // instance ne le liya) to run rok do - warna dono same links scrape karke alerts bhejenge
+    const heartbeat = setInterval(() => {
+        extendLock(LOCK_NAME, lockOwner, LOCK_TTL_MS)
+            .then(renewed => {
+                if (renewed || lockLost) return;
+                lockLost = true;
+                console.error(`[Job] 🔒 Lock lease lost for run ${run.id}, aborting`);
+                controller.abort();
+            })
+            .catch(error => console.error(`[Job] ❌ Lock renew failed: ${error.message}`));
+    }, LOCK_TTL_MS / 3);
+
     try {
-        // 
         // This query fetches all active tracking links to process
-        const trackedLinks = await prisma.externalId.findMany({
+        const trackedLinks = links || await prisma.externalId.findMany({
             where: {
                 externalUrl: { 
                     not: "" // ✅ FIXED: Required strings cannot be null, check for empty string
                 }, 
-                isActive: true
-            }
+                isActive: true,
+                ...(run.componentId ? { componentId: run.componentId } : {})
+            },
+            orderBy: { priority: 'desc' }
         });
 
         console.log(`[Job] Found ${trackedLinks.length} active links.`);
+        await prisma.scrapeRun.update({
+            where: { id: run.id },
+            data: { totalLinks: trackedLinks.length }
+        });
+
+        await runWithConcurrency(
+            interleaveByDomain(trackedLinks),
+            CONCURRENCY,
+            async (link) => {
+                const attempt = await processSingleLink(link, { signal });
+                await recordAttempt(run, link, attempt);
+            },
+            { signal }
+        );
+
+        if (lockLost) {
+            // Alerts ab naya lock owner bhejega
+            status = 'FAILED';
+            runError = 'Lock lease lost to another instance';
+        } else {
+            if (signal.aborted) {
+                status = 'CANCELLED';
+                console.log("[Job] 🛑 Bulk Tracker Cancelled");
+            }
 
-        for (const link of trackedLinks) {
-            await processSingleLink(link);
-            // Wait 3 seconds between requests to avoid IP blocking
-            await new Promise(resolve => setTimeout(resolve, 3000)); 
+            await dispatchPendingAlerts();
+            console.log("[Job] 💤 Bulk Tracker Sleep");
         }
-        console.log("[Job] 💤 Bulk Tracker Sleep");
     } catch (e) {
+        status = 'FAILED';
+        runError = e.message;
         console.error("[Job] 🔥 Critical Failure:", e.message);
+    } finally {
+        clearInterval(heartbeat);
+        activeRun = null;
+        await releaseLock(LOCK_NAME, lockOwner).catch(() => {});
+        await browserPool.closeIfIdle();
     }
+
+    try {
+        return await prisma.scrapeRun.update({
+            where: { id: run.id },
+            data: { status, error: runError, finishedAt: new Date() }
+        });
+    } catch (error) {
+        console.error(`[Job] ❌ Could not finalize run ${run.id}: ${error.message}`);
+        return null;
+    }
+}
+
+// Poora run await karo (cron ke liye). Run already chal raha ho to null.
+async function runPriceTracker(options = {}) {
+    const started = await startPriceTracker(options);
+    return started ? started.finished : null;
 }
 
-module.exports = { runPriceTracker, processSingleLink };
\ No newline at end of file
+// Running tracker ko rok do (in-flight pages complete hote hain, naye links start nahi honge)
+function cancelPriceTracker() {
+    if (!activeRun) return false;
+    activeRun.controller.abort();
+    return true;
+}
+
+const getActiveRun = () => (activeRun ? activeRun.run : null);
+
+module.exports = { runPriceTracker, startPriceTracker, processSingleLink, cancelPriceTracker, getActiveRun };
\ No newline at end of file
@@ -0,0 +1,79 @@
+// src/jobs/scheduler.js
+// Env config:
+//   PRICE_TRACKER_ENABLED=true       scheduler on (default off)
+//   PRICE_TRACKER_CRON=*/10 * * * *  kitni baar due links check karne hain
+//   PRICE_TRACKER_BATCH_SIZE=200     ek tick mein max kitne links
+// Har link ka apna interval/priority ExternalId.checkIntervalMinutes / priority mein hai.
+const cron = require('node-cron');
+const prisma = require('../config/db');
+const { startPriceTracker } = require('./priceTracker');
+const { expireStaleOffers } = require('./offerExpiry');
+
+const CRON_EXPR = process.env.PRICE_TRACKER_CRON || '*/10 * * * *';
+const BATCH_SIZE = Number(process.env.PRICE_TRACKER_BATCH_SIZE) || 200;
+
+let task = null;
+
+// Due links: kabhi check nahi hue, ya lastCheckedAt + interval nikal chuka hai.
+// Order: priority pehle, phir jo apne interval se sabse zyada overdue hai.
+// (Prisma timestamps UTC mein "timestamp without time zone" hain, isliye NOW() bhi UTC mein)
+async function findDueLinks(limit = BATCH_SIZE) {
+    return prisma.$queryRaw`
+        SELECT * FROM "ExternalId"
+        WHERE "isActive" = true
+          AND "externalUrl" <> ''
+          AND ("lastCheckedAt" IS NULL
+               OR "lastCheckedAt" + ("checkIntervalMinutes" * INTERVAL '1 minute') <= (NOW() AT TIME ZONE 'UTC'))
+        ORDER BY "priority" DESC,
+                 "lastCheckedAt" IS NOT NULL,
+                 EXTRACT(EPOCH FROM ((NOW() AT TIME ZONE 'UTC') - "lastCheckedAt")) / GREATEST("checkIntervalMinutes" * 60, 1) DESC
+        LIMIT ${Math.max(1, Math.floor(limit))}
+    `;
+}
+
+async function tick() {
+    try {
+        const links = await findDueLinks();
+        if (links.length > 0) {
+            console.log(`[Scheduler] ⏰ ${links.length} links due`);
+            const started = await startPriceTracker({ trigger: 'cron', links });
+            if (started) await started.finished;
+        }
+    } catch (error) {
+        console.error("[Scheduler] 🔥 Tick failed:", error.message);
+    }
+
+    // Dead links ke offers: refresh nahi hue to stale mark karo. Sirf yahin chalta hai (har tick ek baar),
+    // run ke baad - taaki abhi refresh hue offers pehle expire ho ke phir wapas na aayein
+    try {
+        await expireStaleOffers();
+    } catch (error) {
+        console.error("[Scheduler] ❌ Offer expiry failed:", error.message);
+    }
+}
+
+function startScheduler() {
+    if (process.env.PRICE_TRACKER_ENABLED !== 'true') {
+        console.log("[Scheduler] Price tracker scheduling disabled (PRICE_TRACKER_ENABLED != true)");
+        return null;
+    }
+    if (!cron.validate(CRON_EXPR)) {
+        console.error(`[Scheduler] ❌ Invalid PRICE_TRACKER_CRON: ${CRON_EXPR}`);
+        return null;
+    }
+    if (task) return task;
+
+    // noOverlap: pichla tick abhi chal raha ho to naya skip (lock cross-instance overlap rokta hai)
+    task = cron.schedule(CRON_EXPR, tick, { name: 'price-tracker', noOverlap: true });
+    console.log(`[Scheduler] 🗓️ Price tracker scheduled (${CRON_EXPR}, batch ${BATCH_SIZE})`);
+    return task;
+}
+
+function stopScheduler() {
+    if (task) {
+        task.stop();
+        task = null;
+    }
+}
+
+module.exports = { startScheduler, stopScheduler, findDueLinks, tick };
@@ -0,0 +1,121 @@
+// logic/AlertService.js
+
+const prisma = require('../config/db');
+
+const offerPrice = (o) => o.effective_price ?? o.price;
+
+class AlertService {
+
+    // Component ke saare active watches check karo aur target hit hone par outbox mein alert daalo
+    async evaluateComponent(componentId) {
+        const watches = await prisma.priceWatch.findMany({
+            where: { componentId, isActive: true }
+        });
+        if (watches.length === 0) return [];
+
+        const component = await prisma.component.findUnique({
+            where: { id: componentId },
+            select: { brand: true, model: true, variant: true }
+        });
+
+        const offers = await prisma.offer.findMany({
+            where: { componentId, in_stock: true, is_stale: false }
+        });
+
+        const queued = [];
+        for (const watch of watches) {
+            const alert = await this.evaluateWatch(watch, offers, component);
+            if (alert) queued.push(alert);
+        }
+        return queued;
+    }
+
+    async evaluateWatch(watch, inStockOffers, component) {
+        // Watch ka vendor: canonical vendor id ("md") ya display name dono chalega
+        const matching = inStockOffers.filter(o =>
+            !watch.vendor ||
+            o.vendorId === watch.vendor ||
+            o.vendor.toLowerCase() === watch.vendor.toLowerCase()
+        );
+        const best = matching.reduce(
+            (min, o) => (!min || offerPrice(o) < offerPrice(min) ? o : min),
+            null
+        );
+
+        // Price wapas target se upar (ya stock khatam) -> watch ko re-arm karo
+        if (!best || offerPrice(best) > watch.targetPrice) {
+            if (watch.lastAlertedPrice !== null) {
+                await prisma.priceWatch.update({
+                    where: { id: watch.id },
+                    data: { lastAlertedPrice: null, armedAt: new Date() }
+                });
+            }
+            return null;
+        }
+
+        const price = offerPrice(best);
+
+        // Same drop pe har run alert nahi - sirf naya lower price alert karega
+        if (watch.lastAlertedPrice !== null && price >= watch.lastAlertedPrice) return null;
+
+        const name = component ? `${component.brand} ${component.model} ${component.variant || ''}`.trim() : watch.componentId;
+
+        try {
+            const alert = await prisma.$transaction(async (tx) => {
+                const created = await tx.alertOutbox.create({
+                    data: {
+                        watchId: watch.id,
+                        componentId: watch.componentId,
+                        offerId: best.id,
+                        vendor: best.vendor,
+                        price,
+                        targetPrice: watch.targetPrice,
+                        channel: watch.channel,
+                        destination: watch.destination,
+                        dedupKey: this.dedupKey(watch, best, price),
+                        payload: {
+                            event: "price_drop",
+                            watchId: watch.id,
+                            label: watch.label,
+                            componentId: watch.componentId,
+                            component: name,
+                            vendor: best.vendor,
+                            price,
+                            targetPrice: watch.targetPrice,
+                            url: best.url
+                        }
+                    }
+                });
+
+                await tx.priceWatch.update({
+                    where: { id: watch.id },
+                    data: { lastAlertedPrice: price, lastAlertedAt: new Date() }
+                });
+
+                return created;
+            });
+
+            console.log(`[Alerts] 🔔 Queued: ${name} ₹${price} <= ₹${watch.targetPrice} (${best.vendor})`);
+            return alert;
+        } catch (error) {
+            // P2002 = dedupKey already exists, ye drop isi arm generation mein pehle hi queue ho chuka hai.
+            // lastAlertedPrice sync kar do warna har run yahi insert dobara fail hota rahega
+            if (error.code === 'P2002') {
+                await prisma.priceWatch.update({
+                    where: { id: watch.id },
+                    data: { lastAlertedPrice: price }
+                });
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Ek arm generation (armedAt) mein same offer + price pe ek hi alert.
+    // Re-arm / naya target armedAt badalta hai -> purane price pe bhi dobara alert aa sakta hai
+    dedupKey(watch, offer, price) {
+        return `${watch.id}:${new Date(watch.armedAt).getTime()}:${offer.id}:${price}`;
+    }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,226 @@
+// logic/BuildConstraintService.js
+//
+// build/generate ke user constraints ("AMD only", "Wi-Fi chahiye", "meri GPU reuse karo", "vendor X nahi"):
+//   {
+//     brands:         { cpu: ["AMD"], gpu: ["Zotac"] }   Component.brand (case-insensitive)
+//     platform:       ["AM5"]                            CPU + motherboard socket
+//     features:       ["wifi", "igpu", ...]              FEATURES neeche
+//     formFactor:     ["ITX"]                            motherboard form factor
+//     caseColor:      "white"                            cabinet Component.specs.color
+//     pinned:         ["<id>", { id: "<id>", owned: true }]  build mein zaroor; owned = ₹0
+//     exclude:        ["<id>"]                           ye components nahi
+//     excludeVendors: ["md", "Vedant Computers"]         in vendors ke offers price mein count nahi
+//     capacity:       { ram_gb: 32, storage_gb: 2000 }   total capacity targets (kits / drives x quantity)
+//   }
+// Pinned RAM / storage: { id, quantity } (default = target tak jitni units chahiye, warna 1)
+// prepare() inhe slot-wise filters mein compile karta hai: { id, slot, label, where?, test? }
+// where = Component level Prisma filter, test(row) = jo DB mein filter nahi ho sakta (JSON specs).
+
+const prisma = require('../config/db');
+const vendors = require('./VendorService');
+const { SLOT_DEFS, SLOT_ORDER, MULTI_SLOTS } = require('./buildSlots');
+
+const FEATURES = {
+    wifi: { slot: 'motherboard', label: 'Wi-Fi motherboard', where: { motherboard: { is: { wifi: true } } } },
+    igpu: { slot: 'cpu', label: 'CPU with integrated graphics', where: { cpu: { is: { integrated_gpu: true } } } },
+    cooler_included: { slot: 'cpu', label: 'CPU with bundled cooler', where: { cpu: { is: { includes_cooler: true } } } },
+    ddr5: { slot: 'motherboard', label: 'DDR5 platform', where: { motherboard: { is: { memory_type: 'DDR5' } } } },
+    nvme: { slot: 'storage', label: 'NVMe storage', where: { storage: { is: { type: { contains: 'nvme', mode: 'insensitive' } } } } }
+};
+
+const norm = (s) => String(s || '').trim().toLowerCase();
+const toList = (val) => (val === undefined || val === null ? [] : [].concat(val).map(String).filter(Boolean));
+const isPlainObject = (val) => val !== null && typeof val === 'object' && !Array.isArray(val);
+
+const slotForType = (type) => SLOT_ORDER.find(slot => SLOT_DEFS[slot].type === type) || null;
+const partName = (row) => `${row.brand} ${row.model} ${row.variant || ''}`.trim();
+
+// capacity input key -> multi-unit slot
+const CAPACITY_KEYS = { ram_gb: 'ram', storage_gb: 'storage' };
+
+const EMPTY = { filters: {}, pinned: {}, exclude: [], excludedVendors: null, targets: {}, active: false };
+
+class BuildConstraintService {
+
+    get features() {
+        return Object.keys(FEATURES);
+    }
+
+    get empty() {
+        return EMPTY;
+    }
+
+    // Request body -> compiled constraints. Return: { constraints } ya { error } (400)
+    async prepare(input) {
+        if (input === undefined || input === null) return { constraints: EMPTY };
+        if (!isPlainObject(input)) return { error: "constraints must be an object" };
+
+        const filters = {};
+        const add = (slot, filter) => {
+            if (!filters[slot]) filters[slot] = [];
+            filters[slot].push({ slot, ...filter });
+        };
+
+        // 1. Brands
+        if (input.brands !== undefined) {
+            if (!isPlainObject(input.brands)) return { error: "constraints.brands must be an object of slot -> [brands]" };
+            for (const [slot, list] of Object.entries(input.brands)) {
+                if (!SLOT_DEFS[slot]) return { error: `constraints.brands.${slot}: unknown slot` };
+                const brands = toList(list);
+                if (brands.length === 0) continue;
+                add(slot, {
+                    id: 'brands',
+                    label: `${slot} brand ${brands.join(' / ')}`,
+                    where: { brand: { in: brands, mode: 'insensitive' } }
+                });
+            }
+        }
+
+        // 2. Platform (socket) -> CPU aur board dono
+        const platform = toList(input.platform);
+        if (platform.length) {
+            const label = `platform ${platform.join(' / ')}`;
+            add('cpu', { id: 'platform', label, where: { cpu: { is: { socket: { in: platform, mode: 'insensitive' } } } } });
+            add('motherboard', { id: 'platform', label, where: { motherboard: { is: { socket: { in: platform, mode: 'insensitive' } } } } });
+        }
+
+        // 3. Features
+        for (const feature of toList(input.features).map(norm)) {
+            const def = FEATURES[feature];
+            if (!def) return { error: `Unknown feature: ${feature} (use ${this.features.join(', ')})` };
+            add(def.slot, { id: `feature:${feature}`, label: def.label, where: def.where });
+        }
+
+        // 4. Form factor
+        const formFactor = toList(input.formFactor);
+        if (formFactor.length) {
+            add('motherboard', {
+                id: 'formFactor',
+                label: `${formFactor.join(' / ')} motherboard`,
+                where: { motherboard: { is: { form_factor: { in: formFactor, mode: 'insensitive' } } } }
+            });
+        }
+
+        // 5. Case colour (specs JSON mein hai -> JS test)
+        if (input.caseColor) {
+            const color = norm(input.caseColor);
+            add('cabinet', {
+                id: 'caseColor',
+                label: `${color} case`,
+                test: (row) => toList(row.specs && row.specs.color).some(c => norm(c).includes(color))
+            });
+        }
+
+        // 6. Excluded components
+        const exclude = toList(input.exclude);
+
+        // 7. Excluded vendors -> ids + names (offers vendorId ya legacy vendor string se match)
+        let excludedVendors = null;
+        const vendorInput = toList(input.excludeVendors);
+        if (vendorInput.length) {
+            excludedVendors = { ids: new Set(), names: new Set() };
+            for (const name of vendorInput) {
+                const vendor = await vendors.resolveVendor(name);
+                if (!vendor) return { error: `Unknown vendor: ${name}` };
+                excludedVendors.ids.add(vendor.id);
+                [vendor.id, vendor.name, ...vendor.aliases].forEach(n => excludedVendors.names.add(norm(n)));
+            }
+        }
+
+        // 8. Capacity targets (GB)
+        const targets = {};
+        if (input.capacity !== undefined) {
+            if (!isPlainObject(input.capacity)) return { error: "constraints.capacity must be an object like { ram_gb: 32, storage_gb: 2000 }" };
+            for (const [key, value] of Object.entries(input.capacity)) {
+                if (!CAPACITY_KEYS[key]) return { error: `constraints.capacity.${key}: use ${Object.keys(CAPACITY_KEYS).join(', ')}` };
+                if (value === null || value === undefined) continue;
+                if (typeof value !== 'number' || !Number.isInteger(value) || value <= 0) {
+                    return { error: `constraints.capacity.${key} must be a positive integer (GB)` };
+                }
+                targets[CAPACITY_KEYS[key]] = value;
+            }
+        }
+
+        // 9. Pinned parts
+        const pinnedResult = await this.resolvePinned(input.pinned, exclude);
+        if (pinnedResult.error) return pinnedResult;
+
+        const constraints = { filters, pinned: pinnedResult.pinned, exclude, excludedVendors, targets };
+        constraints.active = Object.keys(filters).length > 0 || Object.keys(constraints.pinned).length > 0 ||
+            exclude.length > 0 || excludedVendors !== null || Object.keys(targets).length > 0;
+        return { constraints };
+    }
+
+    async resolvePinned(input, exclude) {
+        const entries = input === undefined || input === null ? [] : [].concat(input);
+        const pinned = {};
+
+        for (const entry of entries) {
+            const id = isPlainObject(entry) ? entry.id : entry;
+            const owned = isPlainObject(entry) ? Boolean(entry.owned) : false;
+            const quantity = isPlainObject(entry) && entry.quantity !== undefined ? entry.quantity : null;
+            if (!id || typeof id !== 'string') return { error: "constraints.pinned entries must be ids or { id, owned, quantity }" };
+            if (exclude.includes(id)) return { error: `Component ${id} is both pinned and excluded` };
+
+            const row = await prisma.component.findUnique({ where: { id }, select: { id: true, type: true } });
+            if (!row) return { error: `Pinned component not found: ${id}` };
+
+            const slot = slotForType(row.type);
+            if (!slot) return { error: `Pinned component ${id} is a ${row.type}, which the builder does not place` };
+            if (pinned[slot]) return { error: `Only one ${slot} can be pinned` };
+
+            if (quantity !== null) {
+                const max = MULTI_SLOTS[slot] ? MULTI_SLOTS[slot].maxUnits : 1;
+                if (!Number.isInteger(quantity) || quantity < 1 || quantity > max) {
+                    return { error: `Pinned ${slot} quantity must be between 1 and ${max}` };
+                }
+            }
+
+            pinned[slot] = { id, owned, quantity };
+        }
+        return { pinned };
+    }
+
+    // Offer allowed hai? (excluded vendors ke offers nahi)
+    offerAllowed(offer, ex) {
+        if (!ex) return true;
+        if (offer.vendorId && ex.ids.has(offer.vendorId)) return false;
+        return !ex.names.has(norm(offer.vendor));
+    }
+
+    // Slot ke saare filters ka Prisma where (exclude list ke saath)
+    whereFor(slot, constraints) {
+        const where = (constraints.filters[slot] || []).filter(f => f.where).map(f => f.where);
+        if (constraints.exclude.length) where.push({ id: { notIn: constraints.exclude } });
+        return where;
+    }
+
+    testsFor(slot, constraints) {
+        return (constraints.filters[slot] || []).filter(f => f.test).map(f => f.test);
+    }
+
+    // Pinned part user ke apne constraints se takraata hai? -> conflict list
+    async pinnedConflicts(slot, row, constraints) {
+        const conflicts = [];
+        for (const filter of constraints.filters[slot] || []) {
+            let ok = filter.test ? filter.test(row) : true;
+            if (ok && filter.where) {
+                ok = (await prisma.component.count({ where: { AND: [{ id: row.id }, filter.where] } })) > 0;
+            }
+            if (!ok) {
+                conflicts.push({
+                    constraint: filter.id,
+                    slot,
+                    message: `Pinned ${partName(row)} does not satisfy "${filter.label}"`
+                });
+            }
+        }
+        return conflicts;
+    }
+
+    partName(row) {
+        return partName(row);
+    }
+}
+
+module.exports = new BuildConstraintService();
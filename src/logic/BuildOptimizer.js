@@ -0,0 +1,188 @@
+// logic/BuildOptimizer.js
+//
+// Budget ke andar best build dhoondhne ke liye beam search (pure logic, DB nahi).
+//
+// Input:
+//   slots:       [{ slot, weight, candidates: [{ id, price, utility, spec, meta }] }]  (search order mein)
+//   constraints: [{ id, slots, optional?, test(build) }]  build = { [slot]: candidate }
+//   budget, beamWidth, count, valueWeight
+//
+// Objective: Σ weight * (utility / slot ka max utility)  -  valueWeight * (total / budget)
+// Yaani budget mein max performance, aur same performance ho to sasta build.
+// Har step pe optimistic bound (baaki slots mein bache paise se best possible utility)
+// se beam rank hota hai, isliye pehle slot pe saara paisa uda dene wale states aage nahi badhte.
+
+const DEFAULTS = {
+    beamWidth: 400,
+    count: 3,
+    valueWeight: 0.05
+};
+
+// Same dominance key + price <= + utility >= + saare constraint fields "no worse" => dominated
+function paretoPrune(candidates, { dominanceKey, dominanceFields = [] } = {}) {
+    if (!dominanceKey) return candidates;
+
+    const groups = new Map();
+    for (const c of candidates) {
+        const key = dominanceKey(c.spec);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(c);
+    }
+
+    const noWorse = (a, b) => dominanceFields.every(([field, dir]) =>
+        dir === 'min' ? a.spec[field] <= b.spec[field] : a.spec[field] >= b.spec[field]
+    );
+
+    const kept = [];
+    for (const group of groups.values()) {
+        // Sasta pehle; same price pe zyada utility pehle
+        group.sort((a, b) => a.price - b.price || b.utility - a.utility);
+        const survivors = [];
+        for (const c of group) {
+            const dominated = survivors.some(s => s.price <= c.price && s.utility >= c.utility && noWorse(s, c));
+            if (!dominated) survivors.push(c);
+        }
+        kept.push(...survivors);
+    }
+    return kept;
+}
+
+// Slot ke liye: price sorted list + prefix max normalized utility (bound ke liye)
+function buildAffordabilityIndex(candidates) {
+    const sorted = [...candidates].sort((a, b) => a.price - b.price);
+    const prices = sorted.map(c => c.price);
+    const bestUtil = [];
+    let best = -Infinity;
+    for (const c of sorted) {
+        best = Math.max(best, c.norm);
+        bestUtil.push(best);
+    }
+    return {
+        minPrice: prices.length ? prices[0] : Infinity,
+        // money mein best normalized utility (afford hi nahi to -Infinity)
+        bestUnder(money) {
+            let lo = 0;
+            let hi = prices.length - 1;
+            let idx = -1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                if (prices[mid] <= money) {
+                    idx = mid;
+                    lo = mid + 1;
+                } else {
+                    hi = mid - 1;
+                }
+            }
+            return idx < 0 ? -Infinity : bestUtil[idx];
+        }
+    };
+}
+
+// Naya slot add hone par kaunse constraints ab check ho sakte hain
+function constraintsTriggeredBy(slot, constraints) {
+    return constraints.filter(c => c.slots.includes(slot) || (c.optional || []).includes(slot));
+}
+
+function satisfies(build, constraints) {
+    for (const c of constraints) {
+        if (!c.slots.every(s => build[s])) continue;
+        if (!c.test(build)) return false;
+    }
+    return true;
+}
+
+function optimize({ slots, constraints = [], budget, beamWidth, count, valueWeight } = {}) {
+    beamWidth = beamWidth || DEFAULTS.beamWidth;
+    count = count || DEFAULTS.count;
+    valueWeight = valueWeight ?? DEFAULTS.valueWeight;
+
+    // 1. Normalize utilities per slot
+    const prepared = slots.map(s => {
+        const maxUtil = Math.max(0, ...s.candidates.map(c => c.utility));
+        const candidates = s.candidates.map(c => ({ ...c, norm: maxUtil > 0 ? c.utility / maxUtil : 1 }));
+        return { ...s, candidates, index: buildAffordabilityIndex(candidates) };
+    });
+
+    const emptySlot = prepared.find(s => s.candidates.length === 0);
+    if (emptySlot) return { builds: [], exhausted: emptySlot.slot };
+
+    // Slot i se aage ke saare slots ka minimum kharcha
+    const minRemaining = new Array(prepared.length + 1).fill(0);
+    for (let i = prepared.length - 1; i >= 0; i--) {
+        minRemaining[i] = minRemaining[i + 1] + prepared[i].index.minPrice;
+    }
+    if (minRemaining[0] > budget) return { builds: [], exhausted: 'budget' };
+
+    // Baaki slots (i+1..) ke liye optimistic score
+    const optimisticRest = (i, money) => {
+        let bound = 0;
+        for (let j = i + 1; j < prepared.length; j++) {
+            const moneyForSlot = money - (minRemaining[i + 1] - prepared[j].index.minPrice);
+            const best = prepared[j].index.bestUnder(moneyForSlot);
+            if (best === -Infinity) return -Infinity;
+            bound += prepared[j].weight * best;
+        }
+        return bound;
+    };
+
+    // 2. Beam search
+    let beam = [{ parts: {}, cost: 0, score: 0 }];
+    for (let i = 0; i < prepared.length; i++) {
+        const { slot, weight, candidates } = prepared[i];
+        const triggered = constraintsTriggeredBy(slot, constraints);
+        const next = [];
+
+        for (const state of beam) {
+            for (const cand of candidates) {
+                const cost = state.cost + cand.price;
+                if (cost + minRemaining[i + 1] > budget) continue;
+
+                const parts = { ...state.parts, [slot]: cand };
+                if (!satisfies(parts, triggered)) continue;
+
+                const score = state.score + weight * cand.norm;
+                const rest = optimisticRest(i, budget - cost);
+                if (rest === -Infinity) continue;
+
+                next.push({ parts, cost, score, bound: score + rest - valueWeight * (cost / budget) });
+            }
+        }
+
+        if (next.length === 0) return { builds: [], exhausted: slot };
+        next.sort((a, b) => b.bound - a.bound);
+        beam = next.slice(0, beamWidth);
+    }
+
+    // 3. Final ranking + distinct builds (CPU+GPU combo alag hona chahiye)
+    const ranked = beam
+        .map(s => ({ ...s, objective: s.score - valueWeight * (s.cost / budget) }))
+        .sort((a, b) => b.objective - a.objective);
+
+    const distinctKey = (s) => ['cpu', 'gpu'].map(k => (s.parts[k] ? s.parts[k].id : '-')).join('|');
+    const fullKey = (s) => Object.keys(s.parts).sort().map(k => s.parts[k].id).join('|');
+
+    const picked = [];
+    const seen = new Set();
+    for (const s of ranked) {
+        if (picked.length >= count) break;
+        const key = distinctKey(s);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        picked.push(s);
+    }
+    // Distinct CPU/GPU combos kam pade to baaki alag part-sets se bharo
+    const pickedKeys = new Set(picked.map(fullKey));
+    for (const s of ranked) {
+        if (picked.length >= count) break;
+        if (pickedKeys.has(fullKey(s))) continue;
+        pickedKeys.add(fullKey(s));
+        picked.push(s);
+    }
+
+    return {
+        builds: picked.map(s => ({ parts: s.parts, total: s.cost, score: Math.round(s.objective * 1000) / 1000 })),
+        exhausted: null
+    };
+}
+
+module.exports = { optimize, paretoPrune, DEFAULTS };
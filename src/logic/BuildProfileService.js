@@ -0,0 +1,194 @@
+// logic/BuildProfileService.js
+//
+// Build intents (GAMING, WORKSTATION, AI_LLM ...) ab DB mein hain:
+//   allocations: slot -> budget fraction (BuilderService ke slot weights). gpu 0/missing = bina
+//                discrete GPU ka build, tab CPU mein integrated_gpu zaroori hai.
+//   minSpecs:    slot -> { field: value } strict spec minimums, DB query mein push hote hain
+//                number = ">=", boolean = "==", string / [strings] = allowed values
+//                (list fields jaise cabinet.supported_forms: koi bhi value match ho)
+//                ram / storage capacity_gb = poore build ki total capacity (kits / drives x quantity),
+//                per-unit filter nahi -> capacityTargets() se constraints.targets mein jaata hai
+//   preferences: { metric: "gaming" | "productivity", valueWeight }
+
+const prisma = require('../config/db');
+const { SLOT_DEFS, SLOT_ORDER, MULTI_SLOTS } = require('./buildSlots');
+const { modelFields, modelForRelation } = require('../utils/schemaFields');
+const { parseBool } = require('../utils/parsers');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Bina in slots ke PC nahi banta; GPU optional (iGPU), cooler allocation ke bina bhi aata hai
+const OPTIONAL_SLOTS = ['gpu', 'cooler'];
+const METRICS = ['gaming', 'productivity'];
+const PROFILE_ID = /^[A-Z][A-Z0-9_]*$/;
+
+const isPlainObject = (val) => val !== null && typeof val === 'object' && !Array.isArray(val);
+
+class BuildProfileService {
+    constructor() {
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    invalidate() {
+        this.cache = null;
+    }
+
+    async getProfiles() {
+        if (!this.cache || Date.now() - this.cachedAt > CACHE_TTL_MS) {
+            this.cache = await prisma.buildProfile.findMany({ orderBy: { id: 'asc' } });
+            this.cachedAt = Date.now();
+        }
+        return this.cache;
+    }
+
+    // Sirf active profiles build ke liye; id case-insensitive ("gaming" bhi chalega)
+    async getProfile(id) {
+        const key = this.normalizeId(id);
+        const profiles = await this.getProfiles();
+        return profiles.find(p => p.id === key && p.isActive) || null;
+    }
+
+    normalizeId(id) {
+        return String(id || '').trim().toUpperCase();
+    }
+
+    // Profile mein kaunse slots hain (search order mein). `always` slots (cooler) hamesha
+    slotsFor(profile) {
+        return SLOT_ORDER.filter(slot => SLOT_DEFS[slot].always || Number(profile.allocations[slot]) > 0);
+    }
+
+    // Slot ke liye Prisma where (strict relation pe) - minSpecs + iGPU requirement
+    // slots = build ke actual slots (pinned GPU ho to iGPU zaroori nahi)
+    specFilter(profile, slot, slots = this.slotsFor(profile)) {
+        const where = {};
+        const fields = modelFields(modelForRelation(SLOT_DEFS[slot].relation)) || {};
+
+        for (const [field, value] of Object.entries((profile.minSpecs || {})[slot] || {})) {
+            if (this.isCapacityTarget(slot, field, value)) continue;
+            const meta = fields[field];
+            if (typeof value === 'number') where[field] = { gte: value };
+            else if (typeof value === 'boolean') where[field] = value;
+            else if (meta && meta.isList) where[field] = { hasSome: [].concat(value) };
+            else where[field] = { in: [].concat(value) };
+        }
+
+        if (slot === 'cpu' && !slots.includes('gpu')) {
+            where.integrated_gpu = true;
+        }
+        return where;
+    }
+
+    // 2x16 GB kit bhi 32 GB minimum poora karta hai -> per-unit gte nahi, total target
+    isCapacityTarget(slot, field, value) {
+        return Boolean(MULTI_SLOTS[slot]) && field === 'capacity_gb' && typeof value === 'number';
+    }
+
+    // Profile ke capacity minimums + user ke constraints.targets (GB) -> jo bada ho wahi target
+    capacityTargets(profile, targets = {}) {
+        const merged = { ...targets };
+        for (const slot of Object.keys(MULTI_SLOTS)) {
+            const min = ((profile.minSpecs || {})[slot] || {}).capacity_gb;
+            if (this.isCapacityTarget(slot, 'capacity_gb', min)) merged[slot] = Math.max(min, merged[slot] || 0);
+        }
+        return merged;
+    }
+
+    preferences(profile) {
+        return profile.preferences || {};
+    }
+
+    // Request body -> Prisma data. Return: { data } ya { error }
+    validate(body = {}, { partial = false } = {}) {
+        const data = {};
+
+        if (!partial || body.name !== undefined) {
+            if (!body.name || typeof body.name !== 'string') return { error: "name is required" };
+            data.name = body.name;
+        }
+        if (body.description !== undefined) data.description = body.description || null;
+        if (body.isActive !== undefined) data.isActive = parseBool(body.isActive);
+
+        if (!partial || body.allocations !== undefined) {
+            const error = this.validateAllocations(body.allocations);
+            if (error) return { error };
+            data.allocations = body.allocations;
+        }
+        if (body.minSpecs !== undefined) {
+            const error = this.validateMinSpecs(body.minSpecs);
+            if (error) return { error };
+            data.minSpecs = body.minSpecs;
+        }
+        if (body.preferences !== undefined) {
+            const error = this.validatePreferences(body.preferences);
+            if (error) return { error };
+            data.preferences = body.preferences;
+        }
+        return { data };
+    }
+
+    validateId(id) {
+        return PROFILE_ID.test(id) ? null : "id must be UPPER_SNAKE_CASE (e.g. AI_LLM)";
+    }
+
+    validateAllocations(allocations) {
+        if (!isPlainObject(allocations)) return "allocations must be an object of slot -> fraction";
+
+        for (const [slot, value] of Object.entries(allocations)) {
+            if (!SLOT_DEFS[slot]) return `allocations.${slot}: unknown slot (use ${SLOT_ORDER.join(', ')})`;
+            if (typeof value !== 'number' || value < 0 || value > 1) {
+                return `allocations.${slot} must be a fraction between 0 and 1`;
+            }
+        }
+        const missing = SLOT_ORDER.filter(s => !OPTIONAL_SLOTS.includes(s) && !(allocations[s] > 0));
+        if (missing.length) return `allocations must be > 0 for ${missing.join(', ')}`;
+
+        const sum = Object.values(allocations).reduce((a, b) => a + b, 0);
+        if (Math.abs(sum - 1) > 0.01) return `allocations must add up to 1 (got ${Math.round(sum * 1000) / 1000})`;
+        return null;
+    }
+
+    validateMinSpecs(minSpecs) {
+        if (!isPlainObject(minSpecs)) return "minSpecs must be an object of slot -> { field: value }";
+
+        for (const [slot, specs] of Object.entries(minSpecs)) {
+            if (!SLOT_DEFS[slot]) return `minSpecs.${slot}: unknown slot`;
+            if (!isPlainObject(specs)) return `minSpecs.${slot} must be an object`;
+
+            const fields = modelFields(modelForRelation(SLOT_DEFS[slot].relation)) || {};
+            for (const [field, value] of Object.entries(specs)) {
+                const meta = fields[field];
+                const path = `minSpecs.${slot}.${field}`;
+                if (!meta) return `${path}: unknown field`;
+
+                if (meta.type === 'Int' || meta.type === 'Float') {
+                    if (typeof value !== 'number') return `${path} must be a number (minimum)`;
+                } else if (meta.type === 'Boolean') {
+                    if (typeof value !== 'boolean') return `${path} must be a boolean`;
+                } else if (meta.type === 'String') {
+                    const values = [].concat(value);
+                    if (values.length === 0 || !values.every(v => typeof v === 'string')) {
+                        return `${path} must be a string or an array of strings`;
+                    }
+                } else {
+                    return `${path}: ${meta.type} fields cannot be used as minimums`;
+                }
+            }
+        }
+        return null;
+    }
+
+    validatePreferences(preferences) {
+        if (!isPlainObject(preferences)) return "preferences must be an object";
+        if (preferences.metric !== undefined && !METRICS.includes(preferences.metric)) {
+            return `preferences.metric must be one of ${METRICS.join(', ')}`;
+        }
+        if (preferences.valueWeight !== undefined &&
+            (typeof preferences.valueWeight !== 'number' || preferences.valueWeight < 0 || preferences.valueWeight > 1)) {
+            return "preferences.valueWeight must be a number between 0 and 1";
+        }
+        return null;
+    }
+}
+
+module.exports = new BuildProfileService();
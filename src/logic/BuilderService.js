@@ -3,180 +3,376 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const ruleEngine = require('./RuleEngine');
+const performance = require('./PerformanceService');
+const buildProfiles = require('./BuildProfileService');
+const buildConstraints = require('./BuildConstraintService');
+const pricing = require('./PricingService');
+const { optimize, paretoPrune } = require('./BuildOptimizer');
+const { SLOT_DEFS, SLOT_ORDER, SEARCH_CONSTRAINTS, STOCK_COOLER, MULTI_SLOTS, aggregateSpec } = require('./buildSlots');
 
 class BuilderService {
 
-    // Main Function: Budget aur Intent ke hisaab se PC banao
-    async generateBuild(budget, intent = "GAMING") {
-        
-        // 1. Budget Split (Total paisa kaise baantna hai)
-        const allocation = this.getAllocation(budget, intent);
-        
-        const build = {};
+    // Main Function: Budget aur Profile (GAMING, AI_LLM ... DB se) ke hisaab se PC banao
+    // Greedy per-slot picks ki jagah poore budget pe search (BuildOptimizer),
+    // top `count` distinct builds return hote hain. Top-level fields = best build.
+    // constraints = BuildConstraintService.prepare() ka output (brands, pinned, excluded ...)
+    async generateBuild(budget, profile, { count = 3, beamWidth, constraints = buildConstraints.empty } = {}) {
+        // Profile ke RAM / storage capacity minimums total capacity targets hain (per-unit filter nahi)
+        constraints = { ...constraints, targets: buildProfiles.capacityTargets(profile, constraints.targets) };
 
-        // --- STEP 1: GPU SELECT KARO (Sabse Mehenga Part) ---
-        const gpuData = await prisma.component.findFirst({
-            where: { 
-                type: 'GPU',
-                price_current: { lte: allocation.gpu, gt: 0 } 
-            },
-            orderBy: { price_current: 'desc' }, 
-            include: { gpu: true }
+        // 1. Profile allocations -> slot weights (kis part pe performance zyada matter karti hai)
+        const prefs = buildProfiles.preferences(profile);
+        const metric = prefs.metric || performance.metricForIntent(profile.id);
+
+        // Active compatibility rules (DB) - search aur final check dono inhi se
+        const rules = await ruleEngine.getRules();
+        const ruleFields = ruleEngine.referencedFields(rules);
+
+        // Pinned part ka slot profile mein na ho (e.g. OFFICE + apni GPU) to bhi build mein aayega
+        const slotNames = SLOT_ORDER.filter(slot =>
+            buildProfiles.slotsFor(profile).includes(slot) || constraints.pinned[slot]
+        );
+
+        // 2. Har slot ke candidates (priced, strict data + profile minimums + user constraints)
+        const slots = [];
+        const unsatisfied = [];
+        for (const slot of slotNames) {
+            let candidates;
+            if (constraints.pinned[slot]) {
+                const { candidate, conflicts } = await this.loadPinned(slot, constraints.pinned[slot], constraints);
+                unsatisfied.push(...conflicts);
+                candidates = candidate ? [candidate] : [];
+            } else {
+                const profileWhere = this.profileWhere(profile, slot, slotNames);
+                candidates = await this.loadCandidates(slot, budget, metric, {
+                    where: [...profileWhere, ...buildConstraints.whereFor(slot, constraints)],
+                    tests: buildConstraints.testsFor(slot, constraints),
+                    excludedVendors: constraints.excludedVendors,
+                    target: constraints.targets[slot]
+                });
+                // Stock option wale slot (cooler) khaali ho sakte hain - CPU ka bundled cooler
+                if (candidates.length === 0 && !SLOT_DEFS[slot].stockOption) {
+                    unsatisfied.push(...await this.diagnoseSlot(slot, budget, metric, profile, profileWhere, constraints));
+                }
+            }
+
+            const pruned = paretoPrune(candidates, this.pruneDef(slot, ruleFields[slot]));
+            // Bundled cooler bhi ek option; kab chalega wo SEARCH_CONSTRAINTS (cooler_needed) decide karta hai
+            if (SLOT_DEFS[slot].stockOption && !constraints.pinned[slot]) pruned.unshift(STOCK_COOLER);
+
+            slots.push({
+                slot,
+                weight: Number(profile.allocations[slot]) || 0,
+                candidates: pruned
+            });
+        }
+
+        const profileInfo = { id: profile.id, name: profile.name };
+        if (unsatisfied.length) return this.failure(profileInfo, unsatisfied);
+
+        // 3. Search
+        const { builds, exhausted } = optimize({
+            slots,
+            constraints: [...SEARCH_CONSTRAINTS, ...ruleEngine.searchConstraints(rules)],
+            budget,
+            beamWidth,
+            count,
+            valueWeight: prefs.valueWeight
         });
-        build.gpu = gpuData ? gpuData.gpu : null;
-        // Hum component ka main data (price, brand) bhi store karenge calculation ke liye
-        build.gpu_meta = gpuData; 
 
+        if (builds.length === 0) {
+            return this.failure(profileInfo, [this.describeExhausted(exhausted, profile, constraints)]);
+        }
+
+        const formatted = builds.map(b => this.formatBuild(b, budget, metric, rules));
+        return { profile: profileInfo, ...formatted[0], builds: formatted };
+    }
 
-        // --- STEP 2: CPU SELECT KARO ---
-        const cpuData = await prisma.component.findFirst({
-            where: { 
-                type: 'CPU',
-                price_current: { lte: allocation.cpu, gt: 0 }
+    // Admin rules jo slot ke aise fields padhte hain jo dominanceFields mein nahi -> un fields ko
+    // dominance key mein daalo, warna pruning kisi rule ka akela valid candidate hata sakti hai
+    pruneDef(slot, fields) {
+        const def = SLOT_DEFS[slot];
+        const covered = new Set(def.dominanceFields.map(([field]) => field));
+        const extra = [...(fields || [])].filter(f => !covered.has(f)).sort();
+        if (extra.length === 0) return def;
+        return {
+            ...def,
+            dominanceKey: (spec) => `${def.dominanceKey(spec)}|${extra.map(f => JSON.stringify(spec[f] ?? null)).join('|')}`
+        };
+    }
+
+    failure(profileInfo, unsatisfied) {
+        return {
+            profile: profileInfo,
+            parts: {},
+            total_estimated: 0,
+            compatibility_status: {
+                valid: false,
+                errors: unsatisfied.map(u => u.message),
+                warnings: []
             },
-            orderBy: { price_current: 'desc' },
-            include: { cpu: true }
+            unsatisfied,
+            builds: []
+        };
+    }
+
+    // Profile minSpecs (+ iGPU requirement) -> Component level where fragments
+    profileWhere(profile, slot, slotNames) {
+        const specWhere = buildProfiles.specFilter(profile, slot, slotNames);
+        return Object.keys(specWhere).length ? [{ [SLOT_DEFS[slot].relation]: { is: specWhere } }] : [];
+    }
+
+    // metric = CPU/GPU ke liye kaunsa benchmark score utility banega (gaming / productivity)
+    // where = extra Component filters (AND), tests = JS filters (JSON specs)
+    // excludedVendors diye hon to price un vendors ke offers chhod ke dobara nikalta hai
+    // target = RAM / storage capacity target (GB): har part utni units mein jitni target tak pahunchein
+    async loadCandidates(slot, budget, metric, { where = [], tests = [], excludedVendors = null, target = null } = {}) {
+        const def = SLOT_DEFS[slot];
+        const rows = await prisma.component.findMany({
+            where: {
+                AND: [
+                    { type: def.type, [def.relation]: { isNot: null } },
+                    // Repricing ke baad price badh sakta hai, isliye tab budget filter JS mein
+                    excludedVendors ? {} : { price_current: { lte: budget, gt: 0 } },
+                    ...where
+                ]
+            },
+            include: {
+                [def.relation]: true,
+                ...(excludedVendors ? { offers: { include: { vendorRef: true } } } : {})
+            }
         });
-        build.cpu = cpuData ? cpuData.cpu : null;
-        build.cpu_meta = cpuData;
-
-
-        // --- STEP 3: MOTHERBOARD ---
-        if (build.cpu) {
-            const moboData = await prisma.component.findFirst({
-                where: {
-                    type: 'MOTHERBOARD',
-                    price_current: { lte: allocation.motherboard },
-                    motherboard: {
-                        socket: build.cpu.socket // ✅ HARD CONSTRAINT
-                    }
-                },
-                orderBy: { price_current: 'desc' }, 
-                include: { motherboard: true }
-            });
-            build.motherboard = moboData ? moboData.motherboard : null;
-            build.motherboard_meta = moboData;
-        }
-
-
-        // --- STEP 4: RAM ---
-        if (build.motherboard) {
-            const ramData = await prisma.component.findFirst({
-                where: {
-                    type: 'RAM',
-                    price_current: { lte: allocation.ram },
-                    ram: {
-                        memory_type: build.motherboard.memory_type // ✅ HARD CONSTRAINT
-                    }
-                },
-                orderBy: { price_current: 'desc' },
-                include: { ram: true }
-            });
-            build.ram = ramData ? ramData.ram : null;
-            build.ram_meta = ramData;
-        }
-
-        // --- STEP 5: CABINET ---
-        if (build.motherboard && build.gpu) {
-            const caseData = await prisma.component.findFirst({
-                where: {
-                    type: 'CABINET',
-                    price_current: { lte: allocation.cabinet },
-                    cabinet: {
-                        max_gpu_len_mm: { gte: build.gpu.length_mm }, 
-                        supported_forms: { has: build.motherboard.form_factor } 
-                    }
-                },
-                orderBy: { price_current: 'asc' }, 
-                include: { cabinet: true }
+
+        const candidates = [];
+        for (const row of rows) {
+            if (!tests.every(test => test(row))) continue;
+
+            const priced = this.priceFor(row, excludedVendors);
+            if (!priced.price || priced.price <= 0) continue;
+
+            const quantity = this.unitsFor(slot, row[def.relation], target);
+            if (quantity === null || priced.price * quantity > budget) continue;
+
+            candidates.push(this.toCandidate(slot, priced.meta, priced.price, quantity));
+        }
+
+        return def.scored ? performance.applyScores(candidates, metric) : candidates;
+    }
+
+    // Capacity target ke liye kitni units (1 = target nahi / single-unit slot, null = maxUnits mein bhi nahi pahunchta)
+    unitsFor(slot, spec, target) {
+        const multi = MULTI_SLOTS[slot];
+        if (!multi || !target) return 1;
+        const units = Math.ceil(target / Math.max(spec.capacity_gb, 1));
+        return units <= multi.maxUnits ? units : null;
+    }
+
+    // price = per unit; multi-unit slots mein spec aggregated (totals) aur meta.quantity
+    toCandidate(slot, row, price, quantity = 1) {
+        const unit = row[SLOT_DEFS[slot].relation];
+        const multi = Boolean(MULTI_SLOTS[slot]);
+        const spec = multi ? aggregateSpec(slot, Array(quantity).fill(unit)) : unit;
+        return {
+            id: row.id,
+            price: price * quantity,
+            utility: SLOT_DEFS[slot].utility(spec),
+            spec,
+            meta: multi ? { ...row, quantity } : row
+        };
+    }
+
+    // Excluded vendors ke bina current price. Return: { price, meta } (meta = row, offers ke bina)
+    priceFor(row, excludedVendors) {
+        const { offers, ...meta } = row;
+        if (!excludedVendors || !offers || offers.length === 0) {
+            // Offers hi nahi -> manual price (PricingService rule 3)
+            return { price: row.price_current, meta };
+        }
+
+        const pick = pricing.pickBestOffer(offers.filter(o => buildConstraints.offerAllowed(o, excludedVendors)));
+        if (!pick || pick.price === null) return { price: null, meta };
+        return {
+            price: pick.price,
+            meta: { ...meta, price_current: pick.price, bestOfferId: pick.offer.id, best_vendor: pick.offer.vendor }
+        };
+    }
+
+    // Pinned part: profile minimums / budget filter nahi lagte (user ne khud chuna hai),
+    // sirf user ke apne constraints se conflict check hota hai. owned = ₹0.
+    async loadPinned(slot, pin, constraints) {
+        const def = SLOT_DEFS[slot];
+        const row = await prisma.component.findUnique({
+            where: { id: pin.id },
+            include: { [def.relation]: true, offers: { include: { vendorRef: true } } }
+        });
+        const name = buildConstraints.partName(row);
+
+        if (!row[def.relation]) {
+            return {
+                candidate: null,
+                conflicts: [{ constraint: 'pinned', slot, message: `Pinned ${name} has no ${slot} specs yet` }]
+            };
+        }
+
+        const conflicts = await buildConstraints.pinnedConflicts(slot, row, constraints);
+        const priced = this.priceFor(row, constraints.excludedVendors);
+
+        // Quantity: user ki di hui, warna target tak (max units tak)
+        const target = constraints.targets[slot];
+        let quantity = pin.quantity || 1;
+        if (!pin.quantity && MULTI_SLOTS[slot] && target) {
+            quantity = this.unitsFor(slot, row[def.relation], target) || MULTI_SLOTS[slot].maxUnits;
+        }
+        if (target && row[def.relation].capacity_gb * quantity < target) {
+            conflicts.push({
+                constraint: 'capacity',
+                slot,
+                message: `Pinned ${name} x${quantity} gives ${row[def.relation].capacity_gb * quantity} GB, below the ${target} GB target`
             });
-            build.cabinet = caseData ? caseData.cabinet : null;
-            build.cabinet_meta = caseData;
-        }
-
-        // --- STEP 6: PSU ---
-        if (build.cpu && build.gpu) {
-            const totalTdp = build.cpu.tdp_watts + build.gpu.tdp_watts + 100;
-            
-            const psuData = await prisma.component.findFirst({
-                where: {
-                    type: 'PSU',
-                    price_current: { lte: allocation.psu },
-                    psu: {
-                        wattage: { gte: totalTdp } 
-                    }
-                },
-                orderBy: { price_current: 'asc' }, 
-                include: { psu: true }
+        }
+
+        if (pin.owned) {
+            return { candidate: this.toCandidate(slot, { ...priced.meta, pinned: true, owned: true }, 0, quantity), conflicts };
+        }
+        if (!priced.price || priced.price <= 0) {
+            conflicts.push({
+                constraint: 'pinned',
+                slot,
+                message: `Pinned ${name} has no in-stock price${constraints.excludedVendors ? ' outside excluded vendors' : ''} (mark it as owned to use it at ₹0)`
             });
-            build.psu = psuData ? psuData.psu : null;
-            build.psu_meta = psuData;
+            return { candidate: null, conflicts };
         }
+        return { candidate: this.toCandidate(slot, { ...priced.meta, pinned: true }, priced.price, quantity), conflicts };
+    }
 
-        // --- STEP 7: STORAGE ---
-        const storageData = await prisma.component.findFirst({
-            where: { type: 'STORAGE', price_current: { lte: allocation.storage } },
-            orderBy: { price_current: 'desc' },
-            include: { storage: true }
+    // Slot khaali -> kaunsa constraint zimmedar hai? Har user constraint ko akele try karte hain
+    async diagnoseSlot(slot, budget, metric, profile, profileWhere, constraints) {
+        const load = (opts = {}) => this.loadCandidates(slot, budget, metric, {
+            ...opts,
+            where: [...profileWhere, ...(opts.where || [])]
         });
-        build.storage = storageData ? storageData.storage : null;
-        build.storage_meta = storageData;
 
-        // --- FINAL CHECK ---
-        const compatibility = ruleEngine.checkCompatibility(build);
+        const base = await load();
+        if (base.length === 0) {
+            return [{
+                constraint: profileWhere.length ? 'profile' : 'budget',
+                slot,
+                message: this.describeFailure(slot, profile)
+            }];
+        }
 
-        return {
-            parts: {
-                cpu: build.cpu_meta,
-                gpu: build.gpu_meta,
-                motherboard: build.motherboard_meta,
-                ram: build.ram_meta,
-                storage: build.storage_meta,
-                psu: build.psu_meta,
-                cabinet: build.cabinet_meta
-            },
-            total_estimated: this.calculateTotal(build), // ✅ Fixed function call
-            compatibility_status: compatibility
-        };
+        const unsatisfied = [];
+        const tried = [];
+        for (const filter of constraints.filters[slot] || []) {
+            tried.push(filter.label);
+            const found = await load({ where: filter.where ? [filter.where] : [], tests: filter.test ? [filter.test] : [] });
+            if (found.length === 0) {
+                unsatisfied.push({ constraint: filter.id, slot, message: `❌ No ${slot} matches "${filter.label}" within budget` });
+            }
+        }
+        if (constraints.exclude.length) {
+            tried.push('excluded components');
+            const found = await load({ where: [{ id: { notIn: constraints.exclude } }] });
+            if (found.length === 0) {
+                unsatisfied.push({ constraint: 'exclude', slot, message: `❌ Every ${slot} within budget is excluded` });
+            }
+        }
+        if (constraints.targets[slot]) {
+            tried.push(`${constraints.targets[slot]} GB ${slot} target`);
+            const found = await load({ target: constraints.targets[slot] });
+            if (found.length === 0) {
+                unsatisfied.push({
+                    constraint: 'capacity',
+                    slot,
+                    message: `❌ No ${slot} reaches ${constraints.targets[slot]} GB with up to ${MULTI_SLOTS[slot].maxUnits} units within budget`
+                });
+            }
+        }
+        if (constraints.excludedVendors) {
+            tried.push('excluded vendors');
+            const found = await load({ excludedVendors: constraints.excludedVendors });
+            if (found.length === 0) {
+                unsatisfied.push({ constraint: 'excludeVendors', slot, message: `❌ No ${slot} in stock within budget outside the excluded vendors` });
+            }
+        }
+
+        if (unsatisfied.length) return unsatisfied;
+        // Akele sab theek, saath mein nahi
+        return [{ constraint: 'combination', slot, message: `❌ No ${slot} satisfies ${tried.join(' + ')} together within budget` }];
     }
 
-    // Helper: Percentage logic
-    getAllocation(totalBudget, intent) {
-        if (intent === "GAMING") {
+    // Optimizer kisi slot / budget pe atka -> message (pinned parts ho to unka zikr)
+    describeExhausted(exhausted, profile, constraints) {
+        const pinnedSlots = Object.keys(constraints.pinned);
+        if (exhausted === 'budget') {
             return {
-                gpu: totalBudget * 0.40,
-                cpu: totalBudget * 0.20,
-                motherboard: totalBudget * 0.12,
-                ram: totalBudget * 0.08,
-                storage: totalBudget * 0.08,
-                psu: totalBudget * 0.07,
-                cabinet: totalBudget * 0.05
+                constraint: 'budget',
+                slot: null,
+                message: pinnedSlots.length
+                    ? `❌ Budget too low for a complete build with the pinned ${pinnedSlots.join(', ')}`
+                    : this.describeFailure(exhausted, profile)
             };
-        } else {
+        }
+        if (exhausted && constraints.pinned[exhausted]) {
             return {
-                gpu: totalBudget * 0.20,
-                cpu: totalBudget * 0.35,
-                motherboard: totalBudget * 0.15,
-                ram: totalBudget * 0.10,
-                storage: totalBudget * 0.10,
-                psu: totalBudget * 0.05,
-                cabinet: totalBudget * 0.05
+                constraint: 'pinned',
+                slot: exhausted,
+                message: `❌ Pinned ${exhausted} is not compatible with the rest of the build within budget`
             };
         }
+        if (exhausted && pinnedSlots.length) {
+            return {
+                constraint: 'compatibility',
+                slot: exhausted,
+                message: `❌ No ${exhausted} compatible with the pinned ${pinnedSlots.join(', ')} within budget`
+            };
+        }
+        return { constraint: 'compatibility', slot: exhausted || null, message: this.describeFailure(exhausted, profile) };
+    }
+
+    describeFailure(exhausted, profile) {
+        if (exhausted === 'budget') return "❌ Budget too low for the cheapest complete build";
+        if (exhausted && profile && (profile.minSpecs || {})[exhausted]) {
+            return `❌ No compatible ${exhausted} meeting ${profile.id} minimums found within budget`;
+        }
+        if (exhausted) return `❌ No compatible ${exhausted} found within budget`;
+        return "❌ No compatible build found within budget";
+    }
+
+    // Optimizer output -> purana response shape (parts = component rows, strict data included)
+    formatBuild(result, budget, metric, rules) {
+        const build = {};
+        const parts = {};
+        const specs = {};
+        for (const slot of SLOT_ORDER) {
+            const cand = result.parts[slot];
+            specs[slot] = cand ? cand.spec : null;
+            build[`${slot}_meta`] = cand ? cand.meta : null;
+            parts[slot] = cand ? cand.meta : null;
+        }
+
+        return {
+            parts,
+            // parts.cooler null + stock_cooler = CPU ka bundled cooler use hoga
+            stock_cooler: Boolean(result.parts.cooler && result.parts.cooler.stock),
+            total_estimated: this.calculateTotal(build), // ✅ Fixed function call
+            remaining_budget: budget - result.total,
+            score: result.score,
+            performance_metric: metric,
+            compatibility_status: ruleEngine.evaluate(specs, rules)
+        };
     }
 
     // ✅ FIXED: Real Calculation Logic
+    // Owned (pinned) parts ka paisa nahi lagta; RAM / storage = unit price x quantity
     calculateTotal(build) {
         let total = 0;
-        if (build.cpu_meta?.price_current) total += build.cpu_meta.price_current;
-        if (build.gpu_meta?.price_current) total += build.gpu_meta.price_current;
-        if (build.motherboard_meta?.price_current) total += build.motherboard_meta.price_current;
-        if (build.ram_meta?.price_current) total += build.ram_meta.price_current;
-        if (build.storage_meta?.price_current) total += build.storage_meta.price_current;
-        if (build.psu_meta?.price_current) total += build.psu_meta.price_current;
-        if (build.cabinet_meta?.price_current) total += build.cabinet_meta.price_current;
+        for (const slot of SLOT_ORDER) {
+            const meta = build[`${slot}_meta`];
+            if (meta?.price_current && !meta.owned) total += meta.price_current * (meta.quantity || 1);
+        }
         return total;
     }
 }
 
-module.exports = new BuilderService();
\ No newline at end of file
+module.exports = new BuilderService();
@@ -0,0 +1,312 @@
+// logic/CatalogService.js
+//
+// Component catalog query (admin grid + storefront filters, ek hi endpoint):
+//   GET /components?type=GPU&vram_gb_min=8&inStock=true&sort=price&order=asc&limit=24
+//   - filters: type, search, brand, inStock, minPrice / maxPrice
+//   - strict spec filters (type zaroori): field=a,b (exact / list mein koi bhi),
+//     field_min / field_max (numbers), field=true|false (booleans)
+//   - baaki query keys ignore (cache busters "_=", utm_* ...; type ke bina spec filters bhi)
+//   - sort: price | name | created | updated (order asc / desc)
+//   - pagination: limit + offset, ya cursor (pichle page ka next_cursor)
+//   - facets: har filterable field ke value counts / ranges. Har facet apna filter chhod ke
+//     baaki sab filters pe count hota hai (multi-select: "AM5" tick karne pe AM4 count gayab na ho)
+// Spec fields schema (DMMF) se aate hain - naya column apne aap filter + facet ban jata hai.
+
+const prisma = require('../config/db');
+const pricing = require('./PricingService');
+const { SLOT_DEFS, SLOT_ORDER } = require('./buildSlots');
+const { modelFields, modelForRelation } = require('../utils/schemaFields');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+    price: (order) => [{ price_current: { sort: order, nulls: 'last' } }],
+    name: (order) => [{ brand: order }, { model: order }, { variant: order }],
+    created: (order) => [{ createdAt: order }],
+    updated: (order) => [{ updatedAt: order }]
+};
+
+// Ye query keys filters nahi hain (ya component-level filters hain)
+const BASE_KEYS = ['type', 'search', 'brand', 'inStock', 'minPrice', 'maxPrice', 'sort', 'order', 'limit', 'offset', 'cursor', 'facets'];
+const NUMERIC_TYPES = ['Int', 'Float'];
+
+const slotForType = (type) => SLOT_ORDER.find(slot => SLOT_DEFS[slot].type === type) || null;
+
+// "AM5,AM4" / ["AM5", "AM4"] (socket=AM5&socket=AM4) -> ['AM5', 'AM4']
+const listOf = (val) => [].concat(val).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+
+const parseNumber = (key, val) => {
+    const n = Number(val);
+    return val === '' || isNaN(n) ? { error: `${key} must be a number` } : { value: n };
+};
+
+const CARD_SELECT = {
+    id: true,
+    type: true,
+    brand: true,
+    model: true,
+    variant: true,
+    image_url: true,
+    price_current: true,
+    best_vendor: true,
+    priceUpdatedAt: true,
+    createdAt: true,
+    updatedAt: true,
+    // PricingService ka chuna hua offer (price_current isi se aata hai)
+    bestOffer: { select: { lastSeenAt: true, is_stale: true } }
+};
+
+class CatalogService {
+
+    // req.query -> { query } ya { error, status }
+    // query.filters: [{ key, scope: 'component' | 'spec', where }] - facets ke liye key-wise alag
+    parseQuery(params) {
+        const filters = [];
+        let slot = null;
+        let fields = {};
+
+        const type = params.type ? String(params.type).toUpperCase() : null;
+        if (type && type !== 'ALL') {
+            slot = slotForType(type);
+            if (!slot) return { status: 400, error: `type must be one of All, ${SLOT_ORDER.map(s => SLOT_DEFS[s].type).join(', ')}` };
+            filters.push({ key: 'type', scope: 'component', where: { type } });
+            fields = modelFields(modelForRelation(SLOT_DEFS[slot].relation)) || {};
+        }
+
+        if (params.search) {
+            const search = String(params.search);
+            filters.push({
+                key: 'search',
+                scope: 'component',
+                where: {
+                    OR: [
+                        { brand: { contains: search, mode: 'insensitive' } },
+                        { model: { contains: search, mode: 'insensitive' } },
+                        { variant: { contains: search, mode: 'insensitive' } }
+                    ]
+                }
+            });
+        }
+
+        if (params.brand) filters.push({ key: 'brand', scope: 'component', where: { brand: { in: listOf(params.brand) } } });
+        if (params.inStock === 'true') filters.push({ key: 'inStock', scope: 'component', where: { price_current: { gt: 0 } } });
+
+        const price = {};
+        for (const [key, op] of [['minPrice', 'gte'], ['maxPrice', 'lte']]) {
+            if (params[key] === undefined) continue;
+            const parsed = parseNumber(key, params[key]);
+            if (parsed.error) return { status: 400, error: parsed.error };
+            price[op] = parsed.value;
+        }
+        if (Object.keys(price).length) filters.push({ key: 'price', scope: 'component', where: { price_current: price } });
+
+        // Strict spec filters: field / field_min / field_max (type ke fields ke alawa sab ignore)
+        const specFilters = {};
+        for (const [key, raw] of Object.entries(params)) {
+            if (BASE_KEYS.includes(key)) continue;
+
+            const [, name, bound] = key.match(/^(.+?)(?:_(min|max))?$/);
+            const field = fields[key] ? key : name;
+            const meta = fields[field];
+            if (!meta) continue;
+
+            const cond = specFilters[field] || {};
+            const isNumeric = NUMERIC_TYPES.includes(meta.type);
+            if (field !== key) {
+                if (!isNumeric || meta.isList) return { status: 400, error: `${key}: ${field} is not a numeric field` };
+                const parsed = parseNumber(key, raw);
+                if (parsed.error) return { status: 400, error: parsed.error };
+                cond[bound === 'min' ? 'gte' : 'lte'] = parsed.value;
+            } else if (meta.type === 'Boolean') {
+                if (raw !== 'true' && raw !== 'false') return { status: 400, error: `${key} must be true or false` };
+                cond.equals = raw === 'true';
+            } else {
+                let values = listOf(raw);
+                if (isNumeric) {
+                    values = values.map(Number);
+                    if (values.some(isNaN)) return { status: 400, error: `${key} must be a number (or comma separated numbers)` };
+                }
+                if (values.length === 0) continue;
+                // List field (cabinet.supported_forms, cooler.sockets): koi bhi value match kare
+                if (meta.isList) cond.hasSome = values;
+                else cond.in = values;
+            }
+            specFilters[field] = cond;
+        }
+        for (const [field, cond] of Object.entries(specFilters)) {
+            filters.push({ key: field, scope: 'spec', where: { [field]: cond } });
+        }
+
+        // Sort + pagination
+        const sort = params.sort || 'updated';
+        if (!SORTS[sort]) return { status: 400, error: `sort must be one of ${Object.keys(SORTS).join(', ')}` };
+        const order = params.order || (sort === 'price' || sort === 'name' ? 'asc' : 'desc');
+        if (order !== 'asc' && order !== 'desc') return { status: 400, error: "order must be asc or desc" };
+
+        const limit = Math.min(Math.max(Number(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const offset = Math.max(Number(params.offset) || 0, 0);
+        if (params.cursor && offset) return { status: 400, error: "Use either cursor or offset, not both" };
+
+        return {
+            query: {
+                slot,
+                fields,
+                filters,
+                sort,
+                order,
+                limit,
+                offset,
+                cursor: params.cursor ? String(params.cursor) : null,
+                facets: params.facets !== 'false'
+            }
+        };
+    }
+
+    // Filters -> Component where. except = facet apni key chhod ke count karta hai
+    componentWhere({ slot, filters }, except = null) {
+        const and = filters.filter(f => f.key !== except && f.scope === 'component').map(f => f.where);
+        const spec = filters.filter(f => f.key !== except && f.scope === 'spec').map(f => f.where);
+        if (slot) and.push({ [SLOT_DEFS[slot].relation]: spec.length ? { is: { AND: spec } } : { isNot: null } });
+        return and.length ? { AND: and } : {};
+    }
+
+    // Spec model (Gpu / Cpu ...) ka where - spec facets ke groupBy ke liye
+    specWhere({ filters }, except) {
+        const spec = filters.filter(f => f.key !== except && f.scope === 'spec').map(f => f.where);
+        const component = filters.filter(f => f.scope === 'component').map(f => f.where);
+        return { AND: [...spec, { component: { is: { AND: component } } }] };
+    }
+
+    async search(query) {
+        const where = this.componentWhere(query);
+        // id tie-breaker: same price / date pe bhi order stable (cursor pagination ke liye zaroori)
+        const orderBy = [...SORTS[query.sort](query.order), { id: query.order }];
+
+        const [total, rows, facets] = await Promise.all([
+            prisma.component.count({ where }),
+            prisma.component.findMany({
+                where,
+                select: CARD_SELECT,
+                orderBy,
+                take: query.limit + 1,
+                ...(query.cursor ? { cursor: { id: query.cursor }, skip: 1 } : { skip: query.offset })
+            }),
+            query.facets ? this.facets(query) : null
+        ]);
+
+        const hasMore = rows.length > query.limit;
+        const page = rows.slice(0, query.limit);
+
+        return {
+            items: page.map(c => this.toCard(c)),
+            total,
+            limit: query.limit,
+            offset: query.cursor ? null : query.offset,
+            next_cursor: hasMore ? page[page.length - 1].id : null,
+            sort: query.sort,
+            order: query.order,
+            ...(facets ? { facets } : {})
+        };
+    }
+
+    // Price / vendor PricingService ke best offer se (wahi jo builder + compare use karte hain)
+    toCard(c) {
+        return {
+            id: c.id,
+            type: c.type,
+            name: `${c.brand} ${c.model} ${c.variant || ''}`.trim(),
+            brand: c.brand,
+            model: c.model,
+            variant: c.variant,
+            image: c.image_url,
+            best_price: c.price_current || 0,
+            vendor: c.best_vendor || 'N/A',
+            // Storefront ke liye: best offer kitna purana hai
+            freshness: c.bestOffer ? pricing.freshness(c.bestOffer) : null,
+            price_updated_at: c.priceUpdatedAt,
+            createdAt: c.createdAt,
+            updatedAt: c.updatedAt
+        };
+    }
+
+    // Facets: { type?, brand, price: { min, max }, in_stock, specs: { field: {...} } }
+    async facets(query) {
+        const groupCounts = async (key) => {
+            const groups = await prisma.component.groupBy({
+                by: [key],
+                where: this.componentWhere(query, key),
+                _count: { _all: true }
+            });
+            return groups
+                .map(g => ({ value: g[key], count: g._count._all }))
+                .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+        };
+
+        const [types, brands, price, inStock, specs] = await Promise.all([
+            query.slot ? null : groupCounts('type'),
+            groupCounts('brand'),
+            prisma.component.aggregate({
+                where: { AND: [this.componentWhere(query, 'price'), { price_current: { gt: 0 } }] },
+                _min: { price_current: true },
+                _max: { price_current: true }
+            }),
+            prisma.component.count({ where: { AND: [this.componentWhere(query, 'inStock'), { price_current: { gt: 0 } }] } }),
+            query.slot ? this.specFacets(query) : null
+        ]);
+
+        return {
+            ...(types ? { type: types } : {}),
+            brand: brands,
+            price: { min: price._min.price_current, max: price._max.price_current },
+            in_stock: inStock,
+            ...(specs ? { specs } : {})
+        };
+    }
+
+    // Spec fields: String / Boolean / Int -> value counts (Int pe min / max bhi),
+    // Float -> sirf range, list fields (supported_forms, sockets) -> har value ka count
+    async specFacets(query) {
+        const delegate = prisma[SLOT_DEFS[query.slot].relation];
+
+        const entries = await Promise.all(Object.entries(query.fields).map(async ([field, meta]) => {
+            const where = this.specWhere(query, field);
+
+            if (meta.isList) {
+                const rows = await delegate.findMany({ where, select: { [field]: true } });
+                const counts = {};
+                rows.forEach(row => (row[field] || []).forEach(v => { counts[v] = (counts[v] || 0) + 1; }));
+                const values = Object.entries(counts)
+                    .map(([value, count]) => ({ value, count }))
+                    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+                return [field, { kind: 'list', values }];
+            }
+
+            if (meta.type === 'Float') {
+                const agg = await delegate.aggregate({ where, _min: { [field]: true }, _max: { [field]: true } });
+                return [field, { kind: 'range', min: agg._min[field], max: agg._max[field] }];
+            }
+
+            const groups = await delegate.groupBy({ by: [field], where, _count: { _all: true } });
+            const values = groups
+                .filter(g => g[field] !== null)
+                .map(g => ({ value: g[field], count: g._count._all }));
+
+            if (meta.type === 'Int') {
+                values.sort((a, b) => a.value - b.value);
+                return [field, {
+                    kind: 'range',
+                    min: values.length ? values[0].value : null,
+                    max: values.length ? values[values.length - 1].value : null,
+                    values
+                }];
+            }
+            values.sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+            return [field, { kind: meta.type === 'Boolean' ? 'boolean' : 'value', values }];
+        }));
+
+        return Object.fromEntries(entries);
+    }
+}
+
+module.exports = new CatalogService();
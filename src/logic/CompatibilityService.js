@@ -0,0 +1,208 @@
+// logic/CompatibilityService.js
+//
+// "Is CPU ke saath kaunse motherboards chalenge?" - ek component ke against kisi type ke
+// saare candidates ko compatibility rules (RuleEngine) pe check karo.
+// Simple "error" rules (socket ==, form factor in, length <=) DB query mein push hote hain;
+// jo push nahi hote wo JS mein sirf bache hue candidates pe evaluate hote hain.
+
+const prisma = require('../config/db');
+const ruleEngine = require('./RuleEngine');
+const { SLOT_DEFS, SLOT_ORDER, MULTI_SLOTS } = require('./buildSlots');
+
+const slotForType = (type) => SLOT_ORDER.find(slot => SLOT_DEFS[slot].type === type) || null;
+
+const LIST_SELECT = {
+    id: true,
+    type: true,
+    brand: true,
+    model: true,
+    variant: true,
+    image_url: true,
+    price_current: true,
+    best_vendor: true,
+    priceUpdatedAt: true
+};
+
+const isPlainObject = (val) => val !== null && typeof val === 'object' && !Array.isArray(val);
+
+// { id, quantity?, owned? } = component reference (baaki koi key ho to raw spec object)
+const REF_KEYS = ['id', 'quantity', 'owned'];
+const isReference = (val) => typeof val.id === 'string' && Object.keys(val).every(k => REF_KEYS.includes(k));
+
+class CompatibilityService {
+
+    // /rules/validate input -> rule engine build. Har slot pe component id (string),
+    // { id, quantity } (RAM kits / drives) ya raw spec object (purana format: { cpu: { socket: "AM5" } }).
+    // { components: { cpu: "<id>", ... } } bhi chalta hai.
+    // Return: { error, status } ya { build, parts, total_price, unpriced }
+    async resolveBuild(input) {
+        const body = isPlainObject(input) && isPlainObject(input.components) ? input.components : input;
+        if (!isPlainObject(body)) return { status: 400, error: "Send slot -> component id (or spec object)" };
+
+        const build = {};
+        const ids = {};
+        const quantities = {};
+        for (const [key, value] of Object.entries(body)) {
+            const slot = key.toLowerCase();
+            if (value === null || value === undefined || value === '') continue;
+            if (typeof value === 'string' || (isPlainObject(value) && isReference(value))) {
+                if (!SLOT_DEFS[slot]) return { status: 400, error: `${key}: unknown slot (use ${SLOT_ORDER.join(', ')})` };
+                ids[slot] = typeof value === 'string' ? value : value.id;
+
+                const quantity = typeof value === 'string' || value.quantity === undefined ? 1 : value.quantity;
+                const max = MULTI_SLOTS[slot] ? MULTI_SLOTS[slot].maxUnits : 1;
+                if (!Number.isInteger(quantity) || quantity < 1 || quantity > max) {
+                    return { status: 400, error: `${key}.quantity must be between 1 and ${max}` };
+                }
+                quantities[slot] = quantity;
+            } else if (isPlainObject(value)) {
+                build[slot] = value;
+            } else {
+                return { status: 400, error: `${key} must be a component id or a spec object` };
+            }
+        }
+
+        const rows = Object.keys(ids).length
+            ? await prisma.component.findMany({
+                where: { id: { in: Object.values(ids) } },
+                select: {
+                    ...LIST_SELECT,
+                    product_page: true,
+                    bestOffer: { select: { url: true } },
+                    ...Object.fromEntries(Object.keys(ids).map(slot => [SLOT_DEFS[slot].relation, true]))
+                }
+            })
+            : [];
+
+        const parts = {};
+        let total = 0;
+        const unpriced = [];
+        for (const [slot, id] of Object.entries(ids)) {
+            const def = SLOT_DEFS[slot];
+            const row = rows.find(r => r.id === id);
+            if (!row) return { status: 404, error: `${slot}: component ${id} not found` };
+            if (row.type !== def.type) return { status: 400, error: `${slot}: component ${id} is a ${row.type}, not a ${def.type}` };
+            if (!row[def.relation]) return { status: 422, error: `${slot}: component ${id} has no ${def.type} specs yet` };
+
+            const { [def.relation]: spec, bestOffer, ...meta } = row;
+            const quantity = quantities[slot];
+            // Units ki list -> RuleEngine totals (ram.total_modules ...) khud nikalta hai
+            build[slot] = MULTI_SLOTS[slot] ? Array(quantity).fill(spec) : spec;
+            parts[slot] = {
+                ...meta,
+                ...(MULTI_SLOTS[slot] ? { quantity } : {}),
+                name: `${meta.brand} ${meta.model} ${meta.variant || ''}`.trim(),
+                // Kharidne ka link: best offer ka page, warna product page
+                link: (bestOffer && bestOffer.url) || meta.product_page || null
+            };
+
+            if (meta.price_current > 0) total += meta.price_current * quantity;
+            else unpriced.push(slot);
+        }
+
+        return { build, parts, total_price: total, unpriced };
+    }
+
+    // Return: { error, status } ya { source, type, total, limit, offset, pushed, items }
+    async findCompatible(componentId, type, { limit = 20, offset = 0, inStock = false } = {}) {
+        const targetSlot = slotForType(type);
+        if (!targetSlot) {
+            return { status: 400, error: `type must be one of ${SLOT_ORDER.map(s => SLOT_DEFS[s].type).join(', ')}` };
+        }
+
+        const source = await prisma.component.findUnique({ where: { id: componentId } });
+        if (!source) return { status: 404, error: "Component not found" };
+
+        const sourceSlot = slotForType(source.type);
+        if (!sourceSlot) return { status: 400, error: `Compatibility lookup is not supported for ${source.type}` };
+        if (sourceSlot === targetSlot) return { status: 400, error: "type must differ from the component's own type" };
+
+        const sourceSpec = await prisma[SLOT_DEFS[sourceSlot].relation].findUnique({ where: { componentId } });
+        if (!sourceSpec) return { status: 400, error: `Component has no ${source.type} specs yet` };
+
+        // Sirf wo rules jo in dono parts se poore ho jaate hain aur target ko touch karte hain.
+        // Logic koi teesra part padhe (e.g. "CPU has a cooler" -> cooler) to wo build-level rule hai,
+        // pair pe chalane se missing part ki wajah se fail hoga
+        const pair = [sourceSlot, targetSlot];
+        const rules = (await ruleEngine.getRules()).filter(rule => {
+            const slots = (rule.appliesTo || []).map(s => s.toLowerCase());
+            return slots.includes(targetSlot)
+                && slots.every(s => pair.includes(s))
+                && [...ruleEngine.referencedSlots(rule)].every(s => pair.includes(s));
+        });
+
+        // 1. Pushdown: "error" rules jo Prisma filter ban sakte hain
+        const ctx = ruleEngine.buildContext({ [sourceSlot]: sourceSpec });
+        const relation = SLOT_DEFS[targetSlot].relation;
+        const specWhere = [];
+        const pushed = [];
+        const jsRules = [];
+        for (const rule of rules) {
+            const filter = rule.severity === 'error' ? ruleEngine.pushdown(rule, ctx, targetSlot) : null;
+            if (filter) {
+                specWhere.push(filter);
+                pushed.push(rule.name);
+            } else {
+                jsRules.push(rule);
+            }
+        }
+
+        const where = {
+            type,
+            id: { not: componentId },
+            [relation]: specWhere.length ? { is: { AND: specWhere } } : { isNot: null },
+            ...(inStock ? { price_current: { gt: 0 } } : {})
+        };
+        const query = {
+            where,
+            select: { ...LIST_SELECT, [relation]: true },
+            orderBy: [{ price_current: { sort: 'asc', nulls: 'last' } }, { id: 'asc' }]
+        };
+
+        // 2. Saare error rules DB mein push ho gaye -> DB pagination; warnings sirf page pe
+        const blocking = jsRules.some(r => r.severity === 'error');
+        let total;
+        let page;
+        if (!blocking) {
+            [total, page] = await Promise.all([
+                prisma.component.count({ where }),
+                prisma.component.findMany({ ...query, skip: offset, take: limit })
+            ]);
+            page = page.map(row => this.withIssues(row, relation, sourceSlot, sourceSpec, targetSlot, jsRules));
+        } else {
+            // Baaki error rules JS mein (pushdown ke baad bache candidates pe), phir pagination
+            const rows = await prisma.component.findMany(query);
+            const compatible = rows
+                .map(row => this.withIssues(row, relation, sourceSlot, sourceSpec, targetSlot, jsRules))
+                .filter(item => item.compatible);
+            total = compatible.length;
+            page = compatible.slice(offset, offset + limit);
+        }
+
+        return {
+            source: {
+                id: source.id,
+                type: source.type,
+                name: `${source.brand} ${source.model} ${source.variant || ''}`.trim()
+            },
+            type,
+            total,
+            limit,
+            offset,
+            pushed,
+            items: page.map(({ compatible, ...item }) => item)
+        };
+    }
+
+    withIssues(row, relation, sourceSlot, sourceSpec, targetSlot, rules) {
+        const { valid, warnings } = ruleEngine.evaluate({ [sourceSlot]: sourceSpec, [targetSlot]: row[relation] }, rules);
+        return {
+            ...row,
+            name: `${row.brand} ${row.model} ${row.variant || ''}`.trim(),
+            warnings,
+            compatible: valid
+        };
+    }
+}
+
+module.exports = new CompatibilityService();
@@ -0,0 +1,145 @@
+// logic/PerformanceService.js
+//
+// CPU/GPU ke benchmark scores (gaming_score, productivity_score) - admin maintain karta hai.
+// Inse value ranking (score per ₹) aur BuilderService ki utility nikalti hai,
+// taaki "mehenga = better" wala assumption na rahe.
+
+const prisma = require('../config/db');
+
+const METRICS = {
+    gaming: 'gaming_score',
+    productivity: 'productivity_score'
+};
+
+// Sirf in types ke paas scores hain
+const SCORED_TYPES = {
+    CPU: 'cpu',
+    GPU: 'gpu'
+};
+
+// Ranking value = score per ₹1000 (per rupee bahut chhota number hota hai)
+const VALUE_PER = 1000;
+
+const median = (nums) => {
+    const sorted = [...nums].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// null/"" = score hatao, undefined = chhod do, baaki non-negative integer hona chahiye
+const parseScore = (val) => {
+    if (val === undefined) return undefined;
+    if (val === null || val === "") return null;
+    const n = Number(val);
+    return Number.isFinite(n) && n >= 0 ? Math.round(n) : NaN;
+};
+
+class PerformanceService {
+
+    get metrics() {
+        return Object.keys(METRICS);
+    }
+
+    get scoredTypes() {
+        return Object.keys(SCORED_TYPES);
+    }
+
+    // Build intent -> kaunsa score use ho
+    metricForIntent(intent) {
+        return intent === "GAMING" ? 'gaming' : 'productivity';
+    }
+
+    // "gaming" -> "gaming_score" (unknown metric = null)
+    fieldFor(metric) {
+        return METRICS[metric] || null;
+    }
+
+    // Body se score fields. Return: { data } ya { error }
+    parseScores(body = {}) {
+        const data = {};
+        for (const field of Object.values(METRICS)) {
+            const score = parseScore(body[field]);
+            if (Number.isNaN(score)) return { error: `${field} must be a non-negative number or null` };
+            if (score !== undefined) data[field] = score;
+        }
+        if (Object.keys(data).length === 0) {
+            return { error: `Provide at least one of ${Object.values(METRICS).join(', ')}` };
+        }
+        return { data };
+    }
+
+    // Component ke strict CPU/GPU row pe scores likho
+    async setScores(componentId, data, client = prisma) {
+        const component = await client.component.findUnique({
+            where: { id: componentId },
+            select: { id: true, type: true }
+        });
+        if (!component) return { error: "Component not found", status: 404 };
+
+        const relation = SCORED_TYPES[component.type];
+        if (!relation) {
+            return { error: `Performance scores are only supported for ${this.scoredTypes.join(', ')}`, status: 400 };
+        }
+
+        const delegate = client[relation];
+        const existing = await delegate.findUnique({ where: { componentId } });
+        if (!existing) return { error: `Component has no ${component.type} specs yet`, status: 400 };
+
+        const updated = await delegate.update({ where: { componentId }, data });
+        return { component: { id: component.id, type: component.type }, scores: updated };
+    }
+
+    // Performance per rupee (current best price se), sabse achhi value pehle
+    async valueRanking({ type, metric = 'gaming', limit = 20 } = {}) {
+        const relation = SCORED_TYPES[type];
+        const field = METRICS[metric];
+
+        const rows = await prisma.component.findMany({
+            where: {
+                type,
+                price_current: { gt: 0 },
+                [relation]: { is: { [field]: { not: null } } }
+            },
+            include: { [relation]: true }
+        });
+
+        return rows
+            .map(row => {
+                const score = row[relation][field];
+                return {
+                    id: row.id,
+                    brand: row.brand,
+                    model: row.model,
+                    variant: row.variant,
+                    price: row.price_current,
+                    best_vendor: row.best_vendor,
+                    price_updated_at: row.priceUpdatedAt,
+                    score,
+                    value: Math.round((score / row.price_current) * VALUE_PER * 100) / 100
+                };
+            })
+            .sort((a, b) => b.value - a.value || b.score - a.score)
+            .slice(0, limit)
+            .map((entry, i) => ({ rank: i + 1, ...entry }));
+    }
+
+    // Builder candidates ki utility scores se. Jinka score nahi hai unka spec proxy
+    // (median score/proxy ratio se) same scale pe laaya jata hai; koi score hi nahi to proxy as-is.
+    applyScores(candidates, metric) {
+        const field = METRICS[metric];
+        if (!field) return candidates;
+
+        const ratios = candidates
+            .filter(c => c.spec[field] != null && c.utility > 0)
+            .map(c => c.spec[field] / c.utility);
+        if (ratios.length === 0) return candidates;
+
+        const scale = median(ratios);
+        return candidates.map(c => ({
+            ...c,
+            utility: c.spec[field] != null ? c.spec[field] : c.utility * scale
+        }));
+    }
+}
+
+module.exports = new PerformanceService();
@@ -0,0 +1,118 @@
+// logic/PriceHistoryService.js
+
+const prisma = require('../config/db');
+
+const STAT_WINDOWS = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshot price = jo customer actually pay karega (shipping included agar pata hai)
+const pointPrice = (p) => p.effective_price ?? p.price;
+
+class PriceHistoryService {
+
+    // Offer ki current state ko snapshot karo, sirf tab jab kuch badla ho
+    // (ya is offer ka abhi tak koi snapshot hi nahi hai)
+    async recordSnapshot(offer, client = prisma) {
+        const latest = await client.priceSnapshot.findFirst({
+            where: { offerId: offer.id },
+            orderBy: { capturedAt: 'desc' }
+        });
+
+        const unchanged = latest &&
+            latest.price === offer.price &&
+            latest.effective_price === offer.effective_price &&
+            latest.in_stock === offer.in_stock;
+
+        if (unchanged) return null;
+
+        return client.priceSnapshot.create({
+            data: {
+                offerId: offer.id,
+                componentId: offer.componentId,
+                vendor: offer.vendor,
+                price: offer.price,
+                effective_price: offer.effective_price,
+                in_stock: offer.in_stock
+            }
+        });
+    }
+
+    // Time series per vendor + 7/30/90 day min/max/avg
+    async getComponentHistory(componentId, { days = 90 } = {}) {
+        const now = Date.now();
+        const longestWindow = Math.max(days, ...STAT_WINDOWS);
+        const since = new Date(now - longestWindow * DAY_MS);
+
+        const snapshots = await prisma.priceSnapshot.findMany({
+            where: { componentId, capturedAt: { gte: since } },
+            orderBy: { capturedAt: 'asc' }
+        });
+
+        // Window shuru hone se pehle jo price chal raha tha wo bhi chahiye,
+        // warna 60 din se same price wala vendor 7-day stats mein dikhega hi nahi
+        const carried = await prisma.priceSnapshot.findMany({
+            where: { componentId, capturedAt: { lt: since } },
+            orderBy: { capturedAt: 'desc' },
+            distinct: ['vendor']
+        });
+
+        const byVendor = {};
+        for (const snap of [...carried.reverse(), ...snapshots]) {
+            if (!byVendor[snap.vendor]) byVendor[snap.vendor] = [];
+            byVendor[snap.vendor].push(snap);
+        }
+
+        const seriesSince = now - days * DAY_MS;
+        const vendors = Object.entries(byVendor).map(([vendor, points]) => {
+            const last = points[points.length - 1];
+            return {
+                vendor,
+                current: { price: pointPrice(last), in_stock: last.in_stock, at: last.capturedAt },
+                points: points
+                    .filter(p => p.capturedAt.getTime() >= seriesSince)
+                    .map(p => ({
+                        at: p.capturedAt,
+                        price: p.price,
+                        effective_price: pointPrice(p),
+                        in_stock: p.in_stock
+                    })),
+                stats: this.windowStats(points, now)
+            };
+        });
+
+        const allPoints = Object.values(byVendor).flat();
+
+        return {
+            componentId,
+            days,
+            vendors,
+            stats: this.windowStats(allPoints, now)
+        };
+    }
+
+    // Har window ke liye: window ke andar ke points + window start pe active point
+    windowStats(points, now) {
+        const stats = {};
+        for (const windowDays of STAT_WINDOWS) {
+            const start = now - windowDays * DAY_MS;
+            const inWindow = points.filter(p => p.capturedAt.getTime() >= start);
+
+            // Har vendor ka window se just pehle wala point (uss time pe active price)
+            const activeAtStart = {};
+            for (const p of points) {
+                if (p.capturedAt.getTime() < start) activeAtStart[p.vendor] = p;
+            }
+
+            const prices = [...Object.values(activeAtStart), ...inWindow].map(pointPrice);
+            stats[`${windowDays}d`] = prices.length === 0 ? null : {
+                min: Math.min(...prices),
+                max: Math.max(...prices),
+                avg: Math.round(prices.reduce((sum, p) => sum + p, 0) / prices.length),
+                samples: prices.length
+            };
+        }
+        return stats;
+    }
+}
+
+module.exports = new PriceHistoryService();
@@ -0,0 +1,73 @@
+// logic/PricingService.js
+//
+// Component.price_current ab manual nahi, offers se derive hota hai:
+//   1. In-stock (aur non-stale) offers hain -> sabse kam effective price (price + shipping), bestOffer = wo offer
+//   2. Offers hain par koi in stock / fresh nahi -> price_current = null, bestOffer = null
+//      (part abhi kharida nahi ja sakta, isliye BuilderService isse skip karega)
+//   3. Koi offer hi nahi -> price_current jaisa hai waisa (purana manual price) chhod do
+// Trust: MIN_VENDOR_TRUST se kam trust wale (ya inactive) vendors ke offers 1-2 mein count nahi hote.
+
+const prisma = require('../config/db');
+const vendors = require('./VendorService');
+
+const effectivePrice = (offer) => offer.effective_price ?? (offer.price + (offer.shipping || 0));
+
+// OFFER_STALE_AFTER_HOURS: itne ghante refresh na ho to offer stale (default 72)
+const STALE_AFTER_HOURS = Number(process.env.OFFER_STALE_AFTER_HOURS) || 72;
+const HOUR_MS = 60 * 60 * 1000;
+
+class PricingService {
+
+    effectivePrice(offer) {
+        return effectivePrice(offer);
+    }
+
+    get staleAfterHours() {
+        return STALE_AFTER_HOURS;
+    }
+
+    // API responses ke liye: offer kitna purana hai
+    freshness(offer, now = Date.now()) {
+        const seenAt = offer.lastSeenAt ? new Date(offer.lastSeenAt) : null;
+        const ageHours = seenAt ? Math.round((now - seenAt.getTime()) / HOUR_MS * 10) / 10 : null;
+        return {
+            lastSeenAt: seenAt,
+            ageHours,
+            isStale: Boolean(offer.is_stale) || (ageHours !== null && ageHours > STALE_AFTER_HOURS)
+        };
+    }
+
+    // Offers se cheapest pick karo (rule 1-3 upar). Return: { price, offer } ya null (rule 3)
+    // offers ke saath `vendorRef` include hona chahiye (trust check ke liye)
+    pickBestOffer(offers, { minTrust } = {}) {
+        if (offers.length === 0) return null;
+
+        const best = offers
+            .filter(o => o.in_stock && !o.is_stale && vendors.isTrusted(o.vendorRef, minTrust))
+            .reduce((min, o) => (!min || effectivePrice(o) < effectivePrice(min) ? o : min), null);
+
+        return { price: best ? effectivePrice(best) : null, offer: best };
+    }
+
+    async recomputeComponentPrice(componentId, client = prisma) {
+        const offers = await client.offer.findMany({
+            where: { componentId },
+            include: { vendorRef: true }
+        });
+        const pick = this.pickBestOffer(offers);
+        if (!pick) return null;
+
+        return client.component.update({
+            where: { id: componentId },
+            data: {
+                price_current: pick.price,
+                bestOfferId: pick.offer ? pick.offer.id : null,
+                best_vendor: pick.offer ? pick.offer.vendor : null,
+                priceUpdatedAt: new Date()
+            },
+            select: { id: true, price_current: true, bestOfferId: true, best_vendor: true }
+        });
+    }
+}
+
+module.exports = new PricingService();
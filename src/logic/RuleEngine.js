@@ -1,62 +1,305 @@
 // 2. logic/RuleEngine.js
+//
+// Ek hi compatibility engine: active CompatibilityRule rows (JSON logic) DB se load hote hain
+// (cache + invalidate on rule change) aur yahin evaluate hote hain - build generation
+// (search ke dauraan bhi) aur /rules/validate dono ke liye.
+//
+// Context = { cpu: {...spec}, motherboard: {...}, ... } + derived values:
+//   cpu.stock_cooler_adequate, cooler.capacity_w, system.power_w, system.recommended_psu_w,
+//   ram / storage totals (quantity, total_capacity_gb, total_modules, m2_count)
+// Message templates: "{{cpu.socket}}" -> context value (arrays comma se join, null = "none")
+
+const jsonLogic = require('json-logic-js');
+const prisma = require('../config/db');
+const { SLOT_DEFS, SLOT_ORDER, aggregateSpec, ensureAggregated, estimatePower, coolerCapacity, stockCoolerAdequate } = require('./buildSlots');
+const { modelFields, modelForRelation } = require('../utils/schemaFields');
+
+const CACHE_TTL_MS = 60 * 1000;
+const PSU_HEADROOM = 1.2;
+
+// buildContext() jo values khud jodta hai (rule fields catalog / validation ke liye)
+const DERIVED_FIELDS = {
+    'cpu.stock_cooler_adequate': 'Boolean',
+    'cooler.capacity_w': 'Int',
+    'ram.quantity': 'Int',
+    'ram.total_capacity_gb': 'Int',
+    'ram.total_modules': 'Int',
+    'storage.quantity': 'Int',
+    'storage.total_capacity_gb': 'Int',
+    'storage.m2_count': 'Int',
+    'system.power_w': 'Int',
+    'system.recommended_psu_w': 'Int'
+};
+
+// Derived "system" values kin parts se bante hain
+const SYSTEM_SLOTS = ['cpu', 'gpu'];
+
+// Pushdown: JSON logic comparison -> Prisma operator (target field left side pe ho tab)
+const COMPARE_OPS = { '==': 'equals', '===': 'equals', '!=': 'not', '!==': 'not', '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+const FLIPPED = { lt: 'gt', lte: 'gte', gt: 'lt', gte: 'lte', equals: 'equals', not: 'not' };
+
+const getPath = (obj, path) => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+// Logic mein use hue saare var paths ("cpu.socket", ...)
+const collectVars = (logic, out = new Set()) => {
+    if (Array.isArray(logic)) {
+        logic.forEach(l => collectVars(l, out));
+    } else if (logic && typeof logic === 'object') {
+        for (const [op, args] of Object.entries(logic)) {
+            if (op === 'var') {
+                const path = Array.isArray(args) ? args[0] : args;
+                if (typeof path === 'string' && path) out.add(path);
+            } else {
+                collectVars(args, out);
+            }
+        }
+    }
+    return out;
+};
 
 class RuleEngine {
-    
-    // Main function jo poore build ko check karega
-    checkCompatibility(build) {
-        const errors = [];
-        const warnings = [];
+    constructor() {
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    get derivedFields() {
+        return DERIVED_FIELDS;
+    }
+
+    // Rule create / update / delete ke baad call karo
+    invalidate() {
+        this.cache = null;
+    }
 
-        // 1. CPU aur Motherboard ka Socket Check
-        if (build.cpu && build.motherboard) {
-            if (build.cpu.socket !== build.motherboard.socket) {
-                errors.push(`❌ Socket Mismatch: CPU needs ${build.cpu.socket}, Board supports ${build.motherboard.socket}`);
+    async getRules() {
+        if (!this.cache || Date.now() - this.cachedAt > CACHE_TTL_MS) {
+            this.cache = await prisma.compatibilityRule.findMany({
+                where: { isActive: true, deletedAt: null },
+                orderBy: { createdAt: 'asc' }
+            });
+            this.cachedAt = Date.now();
+            if (this.cache.length === 0) {
+                console.warn("[RuleEngine] ⚠️ No active compatibility rules - builds are NOT being checked (run prisma migrate deploy / prisma/seed.js)");
             }
         }
+        return this.cache;
+    }
 
-        // 2. RAM aur Motherboard ka Type Check (DDR4 vs DDR5)
-        if (build.ram && build.motherboard) {
-            if (build.ram.memory_type !== build.motherboard.memory_type) {
-                errors.push(`❌ RAM Mismatch: Board needs ${build.motherboard.memory_type}, RAM is ${build.ram.memory_type}`);
+    // { cpu: spec, gpu: spec, ... } -> rule context (derived values ke saath, specs copy hote hain)
+    // RAM / storage: [spec, spec] (units) ya spec with quantity -> totals (ram.total_modules ...)
+    buildContext(build) {
+        const ctx = {};
+        for (const [key, spec] of Object.entries(build || {})) {
+            const slot = key.toLowerCase();
+            if (Array.isArray(spec)) {
+                const units = spec.filter(u => u && typeof u === 'object');
+                if (units.length) ctx[slot] = { ...aggregateSpec(slot, units) };
+            } else if (spec && typeof spec === 'object') {
+                ctx[slot] = { ...ensureAggregated(slot, spec) };
             }
         }
 
-        // 3. Cabinet aur Motherboard Size Check
-        if (build.cabinet && build.motherboard) {
-            // supported_forms array hai, e.g., ["ATX", "mATX"]
-            if (!build.cabinet.supported_forms.includes(build.motherboard.form_factor)) {
-                errors.push(`❌ Case Size Mismatch: Case supports ${build.cabinet.supported_forms.join(',')}, Board is ${build.motherboard.form_factor}`);
+        if (ctx.cpu) ctx.cpu.stock_cooler_adequate = stockCoolerAdequate(ctx.cpu);
+        if (ctx.cooler) ctx.cooler.capacity_w = coolerCapacity(ctx.cooler);
+
+        const power = estimatePower({ cpu: ctx.cpu, gpu: ctx.gpu });
+        ctx.system = {
+            power_w: power,
+            recommended_psu_w: Math.round(power * PSU_HEADROOM)
+        };
+        return ctx;
+    }
+
+    // Rule ke saare appliesTo parts context mein hain?
+    applies(rule, ctx) {
+        return (rule.appliesTo || []).every(key => ctx[key.toLowerCase()]);
+    }
+
+    // Rule logic run karo. Return: true (pass) / false (fail) / null (rule hi toota hua hai)
+    test(rule, ctx) {
+        try {
+            return Boolean(jsonLogic.apply(rule.logic, ctx));
+        } catch (error) {
+            console.warn(`[RuleEngine] Rule "${rule.name}" (${rule.id}) failed to evaluate: ${error.message}`);
+            return null;
+        }
+    }
+
+    renderMessage(template, ctx) {
+        return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const value = getPath(ctx, path);
+            if (value === undefined) return match;
+            if (value === null) return 'none';
+            return Array.isArray(value) ? value.join(',') : String(value);
+        });
+    }
+
+    // Build (slot -> spec) ko rules pe chalao
+    evaluate(build, rules) {
+        const ctx = this.buildContext(build);
+        const issues = [];
+
+        for (const rule of rules) {
+            if (!this.applies(rule, ctx)) continue;
+            if (this.test(rule, ctx) !== false) continue;
+
+            issues.push({
+                ruleId: rule.id,
+                ruleVersion: rule.version,
+                name: rule.name,
+                severity: rule.severity,
+                message: this.renderMessage(rule.message, ctx),
+                components: rule.appliesTo
+            });
+        }
+
+        const errors = issues.filter(i => i.severity === 'error').map(i => i.message);
+        const warnings = issues.filter(i => i.severity !== 'error').map(i => i.message);
+        return { valid: errors.length === 0, errors, warnings, issues };
+    }
+
+    // evaluate() ka detailed version (/rules/validate ke liye): har rule ka status + compared values
+    //   pass / fail / skip (appliesTo ka koi part build mein nahi) / error (rule evaluate hi nahi hua)
+    explain(build, rules) {
+        const ctx = this.buildContext(build);
+        const results = rules.map(rule => {
+            const base = { ruleId: rule.id, ruleVersion: rule.version, name: rule.name, severity: rule.severity };
+
+            const missing = (rule.appliesTo || []).map(s => s.toLowerCase()).filter(s => !ctx[s]);
+            if (missing.length) return { ...base, status: 'skip', missing };
+
+            const values = {};
+            for (const path of collectVars(rule.logic)) {
+                const value = getPath(ctx, path);
+                values[path] = value === undefined ? null : value;
             }
+
+            const outcome = this.test(rule, ctx);
+            if (outcome === null) return { ...base, status: 'error', values };
+            if (outcome) return { ...base, status: 'pass', values };
+            return { ...base, status: 'fail', message: this.renderMessage(rule.message, ctx), values };
+        });
+
+        const { valid, errors, warnings, issues } = this.evaluate(build, rules);
+        return { valid, errors, warnings, issues, results, system: ctx.system };
+    }
+
+    // Active DB rules se poora build check
+    async checkCompatibility(build) {
+        return this.evaluate(build, await this.getRules());
+    }
+
+    // Rule ke var paths se slots: appliesTo ke alawa jo slots logic padhta hai wo "optional"
+    // (wo baad mein add hon to dobara check). system.* -> CPU + GPU.
+    referencedSlots(rule) {
+        const slots = new Set();
+        for (const path of collectVars(rule.logic)) {
+            const head = path.split('.')[0].toLowerCase();
+            if (head === 'system') SYSTEM_SLOTS.forEach(s => slots.add(s));
+            else if (SLOT_ORDER.includes(head)) slots.add(head);
         }
+        return slots;
+    }
 
-        // 4. GPU aur Cabinet ki Length Check
-        if (build.gpu && build.cabinet) {
-            if (build.gpu.length_mm > build.cabinet.max_gpu_len_mm) {
-                errors.push(`❌ GPU Too Long: GPU is ${build.gpu.length_mm}mm, Case max is ${build.cabinet.max_gpu_len_mm}mm`);
+    // Slot -> rules jo uske kaunse fields padhte hain (BuilderService pruning ke liye)
+    referencedFields(rules) {
+        const fields = {};
+        for (const rule of rules) {
+            for (const path of collectVars(rule.logic)) {
+                const [head, field] = path.split('.');
+                if (!SLOT_ORDER.includes(head) || !field) continue;
+                if (!fields[head]) fields[head] = new Set();
+                fields[head].add(field);
             }
         }
+        return fields;
+    }
 
-        // 5. Power Supply (PSU) Calculation
-        if (build.psu) {
-            const cpuPower = build.cpu ? build.cpu.tdp_watts : 0;
-            const gpuPower = build.gpu ? build.gpu.tdp_watts : 0;
-            const otherParts = 100; // Motherboard, Fans, SSDs buffer
-            
-            const totalNeeded = cpuPower + gpuPower + otherParts;
+    // Rule ko target slot ke Prisma filter mein badlo (baaki parts ki values ctx se).
+    // Sirf simple comparisons / "in" / "and" push hote hain; baaki -> null (JS mein evaluate karo).
+    // Return: strict relation ka where (e.g. { socket: { equals: "AM5" } }) ya null
+    pushdown(rule, ctx, targetSlot) {
+        const fields = modelFields(modelForRelation(SLOT_DEFS[targetSlot].relation)) || {};
 
-            if (build.psu.wattage < totalNeeded) {
-                errors.push(`❌ Weak PSU: System needs ~${totalNeeded}W, PSU is only ${build.psu.wattage}W`);
-            } else if (build.psu.wattage < totalNeeded * 1.2) {
-                warnings.push(`⚠️ Low Headroom: PSU load is high. Recommended: ${Math.round(totalNeeded * 1.2)}W+`);
+        // Operand -> { field } (target ka real column) | { value } (known value) | null
+        const operand = (arg) => {
+            if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+                if (Object.keys(arg).length !== 1 || !('var' in arg)) return null;
+                const path = Array.isArray(arg.var) ? arg.var[0] : arg.var;
+                if (typeof path !== 'string') return null;
+                const [head, field, ...rest] = path.split('.');
+                if (head === targetSlot) return field && rest.length === 0 && fields[field] ? { field, meta: fields[field] } : null;
+                const value = getPath(ctx, path);
+                return value === undefined || value === null ? null : { value };
+            }
+            return arg === null ? null : { value: arg };
+        };
+
+        const translate = (logic) => {
+            if (!logic || typeof logic !== 'object' || Array.isArray(logic)) return null;
+            const [op, args] = Object.entries(logic)[0] || [];
+            if (Object.keys(logic).length !== 1 || !Array.isArray(args)) return null;
+
+            if (op === 'and') {
+                const parts = args.map(translate);
+                return parts.every(Boolean) ? { AND: parts } : null;
+            }
+            if (args.length !== 2) return null;
+            const [a, b] = args.map(operand);
+            if (!a || !b || (a.field && b.field) || (!a.field && !b.field)) return null;
+
+            if (op === 'in') {
+                // target scalar in [values]  |  value in target list column
+                if (a.field && !a.meta.isList && Array.isArray(b.value)) return { [a.field]: { in: b.value } };
+                if (b.field && b.meta.isList && !Array.isArray(a.value)) return { [b.field]: { has: a.value } };
+                return null;
             }
-        }
 
-        return { 
-            valid: errors.length === 0, 
-            errors, 
-            warnings 
+            const prismaOp = COMPARE_OPS[op];
+            if (!prismaOp) return null;
+            const target = a.field ? a : b;
+            const other = a.field ? b : a;
+            if (target.meta.isList || Array.isArray(other.value)) return null;
+            return { [target.field]: { [a.field ? prismaOp : FLIPPED[prismaOp]]: other.value } };
         };
+
+        return translate(rule.logic);
+    }
+
+    // "error" rules -> BuildOptimizer constraints ({ id, slots, optional, test(build) })
+    // build = { slot: candidate } (candidate.spec). Stock cooler = slot khaali maana jata hai.
+    searchConstraints(rules) {
+        const contexts = new WeakMap();
+        const contextFor = (parts) => {
+            if (!contexts.has(parts)) {
+                const specs = {};
+                for (const [slot, cand] of Object.entries(parts)) {
+                    if (cand && !cand.stock) specs[slot] = cand.spec;
+                }
+                contexts.set(parts, this.buildContext(specs));
+            }
+            return contexts.get(parts);
+        };
+
+        return rules
+            .filter(rule => rule.severity === 'error')
+            .map(rule => {
+                const slots = (rule.appliesTo || []).map(s => s.toLowerCase());
+                return {
+                    id: rule.id,
+                    name: rule.name,
+                    slots,
+                    optional: [...this.referencedSlots(rule)].filter(s => !slots.includes(s)),
+                    // Broken rule (null) build ko block nahi karta
+                    test: (parts) => {
+                        const ctx = contextFor(parts);
+                        if (!this.applies(rule, ctx)) return true;
+                        return this.test(rule, ctx) !== false;
+                    }
+                };
+            });
     }
 }
 
-module.exports = new RuleEngine();
\ No newline at end of file
+module.exports = new RuleEngine();
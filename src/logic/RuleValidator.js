@@ -0,0 +1,177 @@
+// logic/RuleValidator.js
+//
+// CompatibilityRule ki static validation (save se pehle). "cpu.sockett" jaisa typo
+// warna rule ko chupchaap hamesha pass / fail kara deta hai.
+//   - logic: sirf json-logic ke known operators, har { var } path catalog mein ho
+//   - appliesTo: known slots, aur har slot logic mein kahin padha jaye
+//   - message: {{path}} placeholders bhi catalog se
+// Errors: [{ path: "/logic/or/1/<=/0/var", message }] - path JSON pointer (RFC 6901) hai.
+//
+// Catalog = strict spec models ke scalar fields (Prisma DMMF) + RuleEngine ke derived values.
+
+const ruleEngine = require('./RuleEngine');
+const { SLOT_DEFS, SLOT_ORDER } = require('./buildSlots');
+const { modelFields, modelForRelation } = require('../utils/schemaFields');
+
+// json-logic-js ke built-in operators (RuleEngine koi custom operation add nahi karta)
+const OPERATORS = [
+    '==', '===', '!=', '!==', '>', '>=', '<', '<=', '!', '!!', 'and', 'or', 'if', '?:',
+    'in', 'cat', 'substr', '+', '-', '*', '/', '%', 'min', 'max', 'merge',
+    'var', 'missing', 'missing_some', 'map', 'filter', 'reduce', 'all', 'none', 'some', 'log'
+];
+
+// In operators ka doosra argument har array item pe chalta hai -> wahan var item-relative hai
+const SCOPED_OPERATORS = ['map', 'filter', 'reduce', 'all', 'none', 'some'];
+
+// system.* values CPU + GPU se bante hain (RuleEngine.buildContext)
+const SYSTEM_SLOTS = ['cpu', 'gpu'];
+
+const isPlainObject = (val) => val !== null && typeof val === 'object' && !Array.isArray(val);
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+class RuleValidator {
+
+    get operators() {
+        return OPERATORS;
+    }
+
+    // "cpu.socket" -> { slot, field, type, isList, derived }
+    fieldCatalog() {
+        const catalog = {};
+        for (const slot of SLOT_ORDER) {
+            const fields = modelFields(modelForRelation(SLOT_DEFS[slot].relation)) || {};
+            for (const [field, meta] of Object.entries(fields)) {
+                catalog[`${slot}.${field}`] = { slot, field, type: meta.type, isList: meta.isList, derived: false };
+            }
+        }
+        for (const [path, type] of Object.entries(ruleEngine.derivedFields)) {
+            const [slot, field] = path.split('.');
+            catalog[path] = { slot, field, type, isList: false, derived: true };
+        }
+        return catalog;
+    }
+
+    // Var path valid hai? Return: error message ya null.
+    // "cooler" (poora part, presence check ke liye) aur list field ka index ("cooler.sockets.0") bhi chalta hai
+    checkPath(path, catalog) {
+        if (typeof path !== 'string' || !path) return "var path must be a non-empty string";
+
+        const [head, field, ...rest] = path.split('.');
+        if (head !== 'system' && !SLOT_DEFS[head]) {
+            return `Unknown slot "${head}" in "${path}" (use ${[...SLOT_ORDER, 'system'].join(', ')})`;
+        }
+        if (field === undefined) return head === 'system' ? `"system" needs a field (e.g. system.power_w)` : null;
+
+        const meta = catalog[`${head}.${field}`];
+        if (!meta) return `Unknown field "${field}" on ${head} in "${path}"`;
+        if (rest.length === 0) return null;
+        if (meta.isList && rest.length === 1 && /^\d+$/.test(rest[0])) return null;
+        return `"${path}" goes deeper than ${head}.${field} (${meta.isList ? `${meta.type}[]` : meta.type})`;
+    }
+
+    // Logic tree walk: operators + var paths. used = logic ke saare slot heads
+    walkLogic(node, pointer, catalog, errors, used, scoped = false) {
+        if (Array.isArray(node)) {
+            node.forEach((item, i) => this.walkLogic(item, `${pointer}/${i}`, catalog, errors, used, scoped));
+            return;
+        }
+        if (!isPlainObject(node)) return;
+
+        const keys = Object.keys(node);
+        if (keys.length !== 1) {
+            errors.push({ path: pointer, message: `Operator objects must have exactly one key (got ${keys.length})` });
+            return;
+        }
+        const [op] = keys;
+        const args = node[op];
+        const here = `${pointer}/${escapePointer(op)}`;
+
+        if (!OPERATORS.includes(op)) {
+            errors.push({ path: here, message: `Unknown operator "${op}"` });
+            return;
+        }
+
+        if (op === 'var') {
+            const path = Array.isArray(args) ? args[0] : args;
+            // Scoped (map / filter ...) ke andar var current item ka hai - catalog se check nahi hota
+            if (scoped) return;
+            const error = this.checkPath(path, catalog);
+            if (error) errors.push({ path: Array.isArray(args) ? `${here}/0` : here, message: error });
+            else used.add(path.split('.')[0]);
+            if (Array.isArray(args) && args.length > 1) this.walkLogic(args[1], `${here}/1`, catalog, errors, used, scoped);
+            return;
+        }
+
+        if ((op === 'missing' || op === 'missing_some') && !scoped) {
+            const paths = op === 'missing_some' ? (Array.isArray(args) ? args[1] : undefined) : args;
+            const base = op === 'missing_some' ? `${here}/1` : here;
+            if (!Array.isArray(paths) && typeof paths !== 'string') {
+                errors.push({ path: base, message: `${op} needs a list of var paths` });
+                return;
+            }
+            [].concat(paths).forEach((path, i) => {
+                const error = this.checkPath(path, catalog);
+                const at = Array.isArray(paths) ? `${base}/${i}` : base;
+                if (error) errors.push({ path: at, message: error });
+                else used.add(path.split('.')[0]);
+            });
+            return;
+        }
+
+        if (SCOPED_OPERATORS.includes(op)) {
+            if (!Array.isArray(args) || args.length < 2) {
+                errors.push({ path: here, message: `${op} needs [array, logic${op === 'reduce' ? ', initial' : ''}]` });
+                return;
+            }
+            args.forEach((arg, i) => this.walkLogic(arg, `${here}/${i}`, catalog, errors, used, scoped || i === 1));
+            return;
+        }
+
+        this.walkLogic(args, here, catalog, errors, used, scoped);
+    }
+
+    // { logic, appliesTo, message } -> errors ([] = valid)
+    validate(rule, catalog = this.fieldCatalog()) {
+        const errors = [];
+        const used = new Set();
+
+        // 1. Logic
+        if (!isPlainObject(rule.logic)) {
+            errors.push({ path: '/logic', message: "logic must be a JSON logic object (e.g. { \"==\": [...] })" });
+        } else {
+            this.walkLogic(rule.logic, '/logic', catalog, errors, used);
+        }
+
+        // 2. appliesTo (case-insensitive slot names: "CPU" / "cpu")
+        if (!Array.isArray(rule.appliesTo) || rule.appliesTo.length === 0) {
+            errors.push({ path: '/appliesTo', message: "appliesTo must be a non-empty array of slots" });
+        } else {
+            const readSlots = new Set([...used].filter(s => s !== 'system'));
+            if (used.has('system')) SYSTEM_SLOTS.forEach(s => readSlots.add(s));
+
+            rule.appliesTo.forEach((value, i) => {
+                const slot = String(value).toLowerCase();
+                const at = `/appliesTo/${i}`;
+                if (typeof value !== 'string' || !SLOT_DEFS[slot]) {
+                    errors.push({ path: at, message: `Unknown slot "${value}" (use ${SLOT_ORDER.join(', ')})` });
+                } else if (isPlainObject(rule.logic) && !readSlots.has(slot)) {
+                    errors.push({ path: at, message: `appliesTo "${value}" but logic never reads ${slot}.*` });
+                }
+            });
+        }
+
+        // 3. Message placeholders
+        if (typeof rule.message !== 'string' || !rule.message.trim()) {
+            errors.push({ path: '/message', message: "message must be a non-empty string" });
+        } else {
+            for (const match of rule.message.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)) {
+                const error = this.checkPath(match[1], catalog);
+                if (error) errors.push({ path: '/message', message: `Placeholder {{${match[1]}}}: ${error}` });
+            }
+        }
+
+        return errors;
+    }
+}
+
+module.exports = new RuleValidator();
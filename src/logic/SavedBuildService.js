@@ -0,0 +1,251 @@
+// logic/SavedBuildService.js
+//
+// Saved builds: generateBuild ka output (data.builds[i].parts seedha post ho sakta hai)
+// ya hand-picked parts. Har slot pe ek component (RAM / storage quantity ke saath);
+// owned = user ke paas pehle se (₹0).
+// Fetch pe build current prices pe reprice hota hai:
+//   priceNow (Component.price_current), delta vs save, out-of-stock / removed parts,
+//   aur active rules pe compatibility dobara.
+
+const crypto = require('crypto');
+const prisma = require('../config/db');
+const ruleEngine = require('./RuleEngine');
+const { SLOT_DEFS, SLOT_ORDER, MULTI_SLOTS } = require('./buildSlots');
+
+const SLUG_BYTES = 6; // 8 chars base64url
+const SLUG_ATTEMPTS = 5;
+
+const isPlainObject = (val) => val !== null && typeof val === 'object' && !Array.isArray(val);
+const partName = (row) => `${row.brand} ${row.model} ${row.variant || ''}`.trim();
+
+// Reprice ke liye component + saari strict tables (rules ke liye specs)
+const ITEM_INCLUDE = {
+    component: {
+        include: Object.fromEntries(SLOT_ORDER.map(slot => [SLOT_DEFS[slot].relation, true]))
+    }
+};
+
+class SavedBuildService {
+
+    newSlug() {
+        return crypto.randomBytes(SLUG_BYTES).toString('base64url');
+    }
+
+    // parts: { slot: "<id>" | { id, owned, quantity } | generate ka part row | null }
+    // Return: { items } ya { error, status }. null = slot khaali (update mein slot hatao)
+    async resolveParts(parts) {
+        if (!isPlainObject(parts)) return { status: 400, error: "parts must be an object of slot -> component id" };
+
+        const wanted = {};
+        for (const [key, value] of Object.entries(parts)) {
+            const slot = key.toLowerCase();
+            if (!SLOT_DEFS[slot]) return { status: 400, error: `parts.${key}: unknown slot (use ${SLOT_ORDER.join(', ')})` };
+            if (value === null) {
+                wanted[slot] = null;
+                continue;
+            }
+            const id = isPlainObject(value) ? value.id : value;
+            if (!id || typeof id !== 'string') return { status: 400, error: `parts.${key} must be a component id or { id, owned, quantity }` };
+
+            const quantity = isPlainObject(value) && value.quantity !== undefined ? value.quantity : 1;
+            const max = MULTI_SLOTS[slot] ? MULTI_SLOTS[slot].maxUnits : 1;
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > max) {
+                return { status: 400, error: `parts.${key}.quantity must be between 1 and ${max}` };
+            }
+            wanted[slot] = { id, owned: isPlainObject(value) ? Boolean(value.owned) : false, quantity };
+        }
+
+        const ids = Object.values(wanted).filter(Boolean).map(p => p.id);
+        const rows = await prisma.component.findMany({
+            where: { id: { in: ids } },
+            select: { id: true, type: true, brand: true, model: true, variant: true, price_current: true }
+        });
+
+        const items = {};
+        for (const [slot, part] of Object.entries(wanted)) {
+            if (!part) {
+                items[slot] = null;
+                continue;
+            }
+            const row = rows.find(r => r.id === part.id);
+            if (!row) return { status: 404, error: `parts.${slot}: component ${part.id} not found` };
+            if (row.type !== SLOT_DEFS[slot].type) {
+                return { status: 400, error: `parts.${slot}: component ${part.id} is a ${row.type}, not a ${SLOT_DEFS[slot].type}` };
+            }
+            items[slot] = {
+                slot,
+                componentId: row.id,
+                name: partName(row),
+                priceAtSave: row.price_current,
+                quantity: part.quantity,
+                owned: part.owned
+            };
+        }
+        return { items };
+    }
+
+    totalOf(items) {
+        return items.reduce((sum, item) =>
+            sum + (!item.owned && item.priceAtSave > 0 ? item.priceAtSave * (item.quantity || 1) : 0), 0);
+    }
+
+    // Unique slug ke saath create (collision pe naya slug)
+    async create(data, items) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await prisma.build.create({
+                    data: {
+                        ...data,
+                        shareSlug: this.newSlug(),
+                        totalAtSave: this.totalOf(items),
+                        items: { create: items }
+                    },
+                    include: { items: true }
+                });
+            } catch (error) {
+                const slugClash = error.code === 'P2002' && [].concat(error.meta?.target || []).join().includes('shareSlug');
+                if (!slugClash || attempt >= SLUG_ATTEMPTS) throw error;
+            }
+        }
+    }
+
+    // Items replace / remove (slot-wise), baaki build ke items waise hi. Total dobara save ke waqt ke prices se
+    async update(id, data, items) {
+        return prisma.$transaction(async (tx) => {
+            const build = await tx.build.findUnique({ where: { id }, include: { items: true } });
+            if (!build) return null;
+
+            if (items) {
+                for (const [slot, item] of Object.entries(items)) {
+                    await tx.buildItem.deleteMany({ where: { buildId: id, slot } });
+                    if (item) await tx.buildItem.create({ data: { ...item, buildId: id } });
+                }
+                const current = await tx.buildItem.findMany({ where: { buildId: id } });
+                data = { ...data, totalAtSave: this.totalOf(current) };
+            }
+
+            return tx.build.update({ where: { id }, data, include: { items: true } });
+        });
+    }
+
+    // Clone = aaj ke prices pe naya build (removed parts chhod ke)
+    async clone(source, { owner, label } = {}) {
+        const items = source.items
+            .filter(item => item.componentId && item.component)
+            .map(item => ({
+                slot: item.slot,
+                componentId: item.componentId,
+                name: partName(item.component),
+                priceAtSave: item.component.price_current,
+                quantity: item.quantity,
+                owned: item.owned
+            }));
+
+        return this.create({
+            owner: owner !== undefined ? owner || null : source.owner,
+            label: label !== undefined ? label || null : (source.label ? `${source.label} (copy)` : null),
+            profileId: source.profileId,
+            budget: source.budget,
+            clonedFromId: source.id
+        }, items);
+    }
+
+    async findById(id) {
+        return prisma.build.findUnique({ where: { id }, include: { items: ITEM_INCLUDE } });
+    }
+
+    async findBySlug(shareSlug) {
+        return prisma.build.findUnique({ where: { shareSlug }, include: { items: ITEM_INCLUDE } });
+    }
+
+    // Build (items + components ke saath) -> response: har item ka priceNow / delta + totals + compatibility
+    async reprice(build) {
+        const specs = {};
+        const outOfStock = [];
+        const removed = [];
+        let totalNow = 0;
+        let delta = 0;
+
+        const items = SLOT_ORDER
+            .map(slot => build.items.find(item => item.slot === slot))
+            .filter(Boolean)
+            .map(item => {
+                const { component, ...rest } = item;
+                if (!component) {
+                    removed.push(item.slot);
+                    return { ...rest, priceNow: null, delta: null, inStock: false, removed: true };
+                }
+
+                // RAM / storage: units ki list -> RuleEngine totals (memory slots, M.2 slots)
+                const spec = component[SLOT_DEFS[item.slot].relation];
+                if (spec) specs[item.slot] = MULTI_SLOTS[item.slot] ? Array(item.quantity).fill(spec) : spec;
+
+                // priceAtSave / priceNow per unit; delta aur totals poori line (x quantity)
+                const priceNow = component.price_current > 0 ? component.price_current : null;
+                if (priceNow === null && !item.owned) outOfStock.push(item.slot);
+
+                const itemDelta = priceNow !== null && item.priceAtSave > 0 ? (priceNow - item.priceAtSave) * item.quantity : null;
+                if (!item.owned) {
+                    if (priceNow !== null) totalNow += priceNow * item.quantity;
+                    if (itemDelta !== null) delta += itemDelta;
+                }
+
+                return {
+                    ...rest,
+                    name: partName(component),
+                    best_vendor: component.best_vendor,
+                    priceNow,
+                    delta: itemDelta,
+                    inStock: priceNow !== null,
+                    removed: false
+                };
+            });
+
+        return {
+            ...build,
+            items,
+            pricing: {
+                totalAtSave: build.totalAtSave,
+                totalNow,
+                // Sirf un parts ka change jo dono waqt priced the (out-of-stock / removed alag list mein)
+                delta,
+                deltaPct: build.totalAtSave > 0 ? Math.round(delta / build.totalAtSave * 1000) / 10 : null,
+                outOfStock,
+                removed,
+                complete: outOfStock.length === 0 && removed.length === 0
+            },
+            compatibility_status: await ruleEngine.checkCompatibility(specs)
+        };
+    }
+
+    // Public share link ka response (reprice ke baad): explicit fields only -
+    // build / item ids, owner aur clone source link ke saath bahar nahi jaate
+    shareView(repriced) {
+        return {
+            shareSlug: repriced.shareSlug,
+            label: repriced.label,
+            profileId: repriced.profileId,
+            budget: repriced.budget,
+            totalAtSave: repriced.totalAtSave,
+            createdAt: repriced.createdAt,
+            updatedAt: repriced.updatedAt,
+            items: repriced.items.map(item => ({
+                slot: item.slot,
+                componentId: item.componentId,
+                name: item.name,
+                best_vendor: item.best_vendor,
+                quantity: item.quantity,
+                owned: item.owned,
+                priceAtSave: item.priceAtSave,
+                priceNow: item.priceNow,
+                delta: item.delta,
+                inStock: item.inStock,
+                removed: item.removed
+            })),
+            pricing: repriced.pricing,
+            compatibility_status: repriced.compatibility_status
+        };
+    }
+}
+
+module.exports = new SavedBuildService();
@@ -0,0 +1,201 @@
+// logic/SwapService.js
+//
+// "₹4,000 aur do to agli GPU" / "is board se ₹2,500 bachao": build ke har slot ke liye
+// sabse paas ka sasta aur mehenga compatible alternative.
+//   cheaper = current se kam price (koi bhi part), pricier = zyada price aur better utility (upgrade)
+//   RAM / storage mein quantity same rehti hai (2 kits -> 2 kits); prices quantity ke saath
+// Swap se koi "error" rule toot'ta hai to dusre parts badal ke theek karne ki koshish hoti hai
+// (e.g. badi GPU -> naya PSU); wo forced_changes mein aate hain aur total_delta mein jud'te hain.
+// Jo swap theek hi nahi ho sakta wo skip, agla nearest try hota hai.
+
+const prisma = require('../config/db');
+const ruleEngine = require('./RuleEngine');
+const performance = require('./PerformanceService');
+const { SLOT_DEFS, SLOT_ORDER, MULTI_SLOTS, aggregateSpec } = require('./buildSlots');
+
+// Har direction mein itne nearest candidates tak hi try (har ek pe repair search chalti hai)
+const MAX_TRIES = 25;
+
+// Pool sirf current part ke (per unit) price ke aas-paas: aadhe se dugne tak.
+// "Agla / pichla" part isi range mein hota hai; poori table load + score karne ki zaroorat nahi
+const PRICE_WINDOW = { below: 0.5, above: 2 };
+
+const partName = (row) => `${row.brand} ${row.model} ${row.variant || ''}`.trim();
+const summary = (cand) => ({
+    id: cand.id,
+    name: partName(cand.meta),
+    ...(cand.quantity > 1 ? { quantity: cand.quantity } : {}),
+    price: cand.price
+});
+
+class SwapService {
+
+    // Slot ke in-stock parts current ke price window mein (+ build ka current part, chahe out of stock ho).
+    // current = { id, price_current }; out of stock current -> window nahi, saare in-stock parts.
+    // quantity = RAM kits / drives: price aur spec totals utni units ke. Return: price ke hisaab se sorted
+    async loadSlot(slot, current, metric, quantity = 1) {
+        const def = SLOT_DEFS[slot];
+        const base = current.price_current > 0 ? current.price_current : null;
+        const price = base
+            ? { gt: 0, gte: Math.floor(base * PRICE_WINDOW.below), lte: Math.ceil(base * PRICE_WINDOW.above) }
+            : { gt: 0 };
+        const rows = await prisma.component.findMany({
+            where: {
+                type: def.type,
+                [def.relation]: { isNot: null },
+                OR: [{ price_current: price }, { id: current.id }]
+            },
+            include: { [def.relation]: true },
+            orderBy: [{ price_current: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }]
+        });
+
+        const candidates = rows.map(row => {
+            const spec = MULTI_SLOTS[slot] ? aggregateSpec(slot, Array(quantity).fill(row[def.relation])) : row[def.relation];
+            return {
+                id: row.id,
+                quantity,
+                price: (row.price_current || 0) * quantity,
+                utility: def.utility(spec),
+                spec,
+                meta: row
+            };
+        });
+        return def.scored ? performance.applyScores(candidates, metric) : candidates;
+    }
+
+    performanceDelta(slot, from, to, metric) {
+        const field = performance.fieldFor(metric);
+        if (!SLOT_DEFS[slot].scored || !field) return null;
+        const a = from.spec[field];
+        const b = to.spec[field];
+        if (a == null || b == null) return null;
+        return { metric, delta: b - a, pct: a > 0 ? Math.round((b - a) / a * 1000) / 10 : null };
+    }
+
+    // Sorted pool (price asc) ke candidates `price` se doori ke order mein - har repair pe sort nahi
+    * nearest(pool, price) {
+        let hi = pool.findIndex(c => c.price >= price);
+        if (hi === -1) hi = pool.length;
+        let lo = hi - 1;
+        while (lo >= 0 || hi < pool.length) {
+            if (hi >= pool.length || (lo >= 0 && price - pool[lo].price <= pool[hi].price - price)) yield pool[lo--];
+            else yield pool[hi++];
+        }
+    }
+
+    specsOf(parts) {
+        return Object.fromEntries(Object.entries(parts).map(([slot, cand]) => [slot, cand.spec]));
+    }
+
+    failingErrors(specs, rules) {
+        return ruleEngine.evaluate(specs, rules).issues.filter(i => i.severity === 'error');
+    }
+
+    // Rule kin slots ko chhoota hai (appliesTo + logic ke var paths)
+    ruleSlots(rule) {
+        return new Set([...(rule.appliesTo || []).map(s => s.toLowerCase()), ...ruleEngine.referencedSlots(rule)]);
+    }
+
+    // parts (slot -> candidate) mein slot ko `cand` se badlo aur baaki ko repair karo.
+    // Return: { parts, forced: [slot] } ya null (repair possible nahi)
+    repair(parts, slot, cand, pools, rules) {
+        const next = { ...parts, [slot]: cand };
+        const locked = new Set([slot]);
+        const forced = [];
+
+        for (let round = 0; round < SLOT_ORDER.length; round++) {
+            const failing = this.failingErrors(this.specsOf(next), rules);
+            if (failing.length === 0) return { parts: next, forced };
+
+            // Pehla toota rule: uske jo slots abhi tak nahi badle unme se ek badlo
+            const rule = rules.find(r => r.id === failing[0].ruleId);
+            const fixable = [...this.ruleSlots(rule)].filter(s => next[s] && !locked.has(s) && pools[s]);
+            let fixed = false;
+
+            for (const fixSlot of SLOT_ORDER.filter(s => fixable.includes(s))) {
+                const original = next[fixSlot];
+                // Original ke price ke sabse paas wala jo is rule ko pass kara de
+                let pick = null;
+                for (const c of this.nearest(pools[fixSlot], original.price)) {
+                    if (c.id === original.id || c.price <= 0) continue;
+                    if (ruleEngine.evaluate(this.specsOf({ ...next, [fixSlot]: c }), [rule]).valid) {
+                        pick = c;
+                        break;
+                    }
+                }
+                if (pick) {
+                    next[fixSlot] = pick;
+                    locked.add(fixSlot);
+                    forced.push(fixSlot);
+                    fixed = true;
+                    break;
+                }
+            }
+            if (!fixed) return null;
+        }
+        return null;
+    }
+
+    // Build parts (slot -> { id, quantity }) -> har slot ke cheaper / pricier alternatives
+    // owned = user ke paas pehle se wale slots (current price ₹0, swap = poora naya part)
+    async suggest(parts, { metric = 'gaming', slots = Object.keys(parts), owned = new Set() } = {}) {
+        const rules = await ruleEngine.getRules();
+
+        const pools = {};
+        for (const slot of Object.keys(parts)) {
+            pools[slot] = await this.loadSlot(slot, parts[slot].meta || parts[slot], metric, parts[slot].quantity || 1);
+        }
+        // Current parts pool se (same scored utility / aggregated spec), owned = ₹0
+        const current = Object.fromEntries(Object.entries(parts).map(([slot, part]) => {
+            const pooled = pools[slot].find(c => c.id === part.id);
+            return [slot, owned.has(slot) ? { ...pooled, price: 0 } : pooled];
+        }));
+
+        // Build mein pehle se toote rules swaps ko block nahi karte (sirf naye breakages repair hote hain)
+        const baseline = new Set(this.failingErrors(this.specsOf(current), rules).map(i => i.ruleId));
+        const repairRules = rules.filter(r => !baseline.has(r.id));
+
+        const swaps = {};
+        for (const slot of SLOT_ORDER.filter(s => slots.includes(s) && current[s])) {
+            const mine = current[slot];
+            const others = pools[slot].filter(c => c.id !== mine.id && c.price > 0);
+
+            // Pool price asc mein hai: cheaper = nearest pehle (ulta), pricier = waise hi
+            const cheaper = others.filter(c => c.price < mine.price).reverse();
+            const pricier = others.filter(c => c.price > mine.price && c.utility > mine.utility);
+
+            swaps[slot] = {
+                current: summary(mine),
+                cheaper: this.firstViable(current, slot, cheaper, pools, { repairRules, rules, metric }),
+                pricier: this.firstViable(current, slot, pricier, pools, { repairRules, rules, metric })
+            };
+        }
+        return swaps;
+    }
+
+    firstViable(parts, slot, ordered, pools, { repairRules, rules, metric }) {
+        for (const cand of ordered.slice(0, MAX_TRIES)) {
+            const result = this.repair(parts, slot, cand, pools, repairRules);
+            if (!result) continue;
+
+            const forcedChanges = result.forced.map(s => ({
+                slot: s,
+                from: summary(parts[s]),
+                to: summary(result.parts[s]),
+                price_delta: result.parts[s].price - parts[s].price
+            }));
+            const priceDelta = cand.price - parts[slot].price;
+            return {
+                ...summary(cand),
+                price_delta: priceDelta,
+                performance_delta: this.performanceDelta(slot, parts[slot], cand, metric),
+                forced_changes: forcedChanges,
+                total_delta: priceDelta + forcedChanges.reduce((sum, f) => sum + f.price_delta, 0),
+                warnings: ruleEngine.evaluate(this.specsOf(result.parts), rules).warnings
+            };
+        }
+        return null;
+    }
+}
+
+module.exports = new SwapService();
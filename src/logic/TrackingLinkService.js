@@ -0,0 +1,93 @@
+// logic/TrackingLinkService.js
+
+const prisma = require('../config/db');
+const { findAdapter } = require('../utils/vendors');
+
+// Tracking params hata do taaki same product ke do URLs duplicate pakde jaayein
+const TRACKING_PARAMS = /^(utm_|gclid$|fbclid$|ref$|srsltid$)/i;
+
+class TrackingLinkService {
+
+    normalizeUrl(rawUrl) {
+        const url = new URL(String(rawUrl).trim());
+        url.hash = '';
+        url.hostname = url.hostname.toLowerCase();
+        for (const key of [...url.searchParams.keys()]) {
+            if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+        }
+        if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+            url.pathname = url.pathname.slice(0, -1);
+        }
+        return url.toString();
+    }
+
+    // { url, adapter } ya { error } (invalid URL / unsupported vendor)
+    validateUrl(rawUrl) {
+        if (!rawUrl) return { error: "url is required" };
+
+        let url;
+        try {
+            url = this.normalizeUrl(rawUrl);
+        } catch {
+            return { error: `Invalid URL: ${rawUrl}` };
+        }
+        if (!/^https?:/.test(url)) return { error: `Only http(s) URLs are supported: ${rawUrl}` };
+
+        const adapter = findAdapter(url);
+        if (!adapter) return { error: `No vendor adapter supports ${new URL(url).hostname}` };
+
+        return { url, adapter };
+    }
+
+    async findDuplicate(url, excludeId = null) {
+        return prisma.externalId.findFirst({
+            where: {
+                externalUrl: url,
+                ...(excludeId ? { id: { not: excludeId } } : {})
+            },
+            select: { id: true, componentId: true }
+        });
+    }
+
+    // Har link ke saath uska latest ScrapeAttempt (last check result) jodo
+    async withLastCheck(links) {
+        if (links.length === 0) return [];
+
+        const attempts = await prisma.scrapeAttempt.findMany({
+            where: { externalIdId: { in: links.map(l => l.id) } },
+            orderBy: { createdAt: 'desc' },
+            distinct: ['externalIdId'],
+            select: {
+                externalIdId: true,
+                runId: true,
+                outcome: true,
+                failureCategory: true,
+                price: true,
+                inStock: true,
+                error: true,
+                createdAt: true
+            }
+        });
+        const byLink = new Map(attempts.map(a => [a.externalIdId, a]));
+
+        return links.map(link => {
+            const adapter = findAdapter(link.externalUrl);
+            const last = byLink.get(link.id);
+            return {
+                ...link,
+                vendor: adapter ? adapter.id : null,
+                lastCheck: last ? {
+                    runId: last.runId,
+                    outcome: last.outcome,
+                    failureCategory: last.failureCategory,
+                    price: last.price,
+                    inStock: last.inStock,
+                    error: last.error,
+                    at: last.createdAt
+                } : null
+            };
+        });
+    }
+}
+
+module.exports = new TrackingLinkService();
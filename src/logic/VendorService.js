@@ -0,0 +1,85 @@
+// logic/VendorService.js
+
+const prisma = require('../config/db');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// MIN_VENDOR_TRUST: isse kam trust wale vendors best price mein count nahi honge (default 0 = sab)
+const MIN_TRUST = Number(process.env.MIN_VENDOR_TRUST) || 0;
+
+const norm = (s) => String(s || '').trim().toLowerCase();
+
+class VendorService {
+    constructor() {
+        this.cache = null;
+        this.cachedAt = 0;
+    }
+
+    get minTrust() {
+        return MIN_TRUST;
+    }
+
+    invalidate() {
+        this.cache = null;
+    }
+
+    async getVendors() {
+        if (!this.cache || Date.now() - this.cachedAt > CACHE_TTL_MS) {
+            this.cache = await prisma.vendor.findMany();
+            this.cachedAt = Date.now();
+        }
+        return this.cache;
+    }
+
+    // "mdcomputers" / "MDComputers" / "md" / URL -> Vendor row (ya null)
+    async resolveVendor(nameOrUrl) {
+        const key = norm(nameOrUrl);
+        if (!key) return null;
+        const vendors = await this.getVendors();
+
+        const byName = vendors.find(v =>
+            norm(v.id) === key || norm(v.name) === key || v.aliases.some(a => norm(a) === key)
+        );
+        if (byName) return byName;
+
+        let host = null;
+        try {
+            host = new URL(nameOrUrl).hostname.toLowerCase();
+        } catch {
+            return null;
+        }
+        return vendors.find(v => v.domains.some(d => host === d || host.endsWith(`.${d}`))) || null;
+    }
+
+    shippingFor(vendor, price) {
+        if (!vendor) return 0;
+        if (vendor.free_shipping_above !== null && price >= vendor.free_shipping_above) return 0;
+        return vendor.shipping_flat;
+    }
+
+    // Trust threshold: unlinked offers (manual / unknown vendor) allowed rehte hain
+    isTrusted(vendor, minTrust = MIN_TRUST) {
+        if (!vendor) return true;
+        return vendor.isActive && vendor.trust >= minTrust;
+    }
+
+    // Vendor ke shipping rules badle -> uske saare offers ka effective price dobara
+    async repriceVendorOffers(vendorId) {
+        const vendor = await prisma.vendor.findUnique({ where: { id: vendorId } });
+        if (!vendor) return [];
+
+        const offers = await prisma.offer.findMany({ where: { vendorId } });
+        for (const offer of offers) {
+            const shipping = this.shippingFor(vendor, offer.price);
+            if (shipping !== offer.shipping || offer.effective_price !== offer.price + shipping) {
+                await prisma.offer.update({
+                    where: { id: offer.id },
+                    data: { shipping, effective_price: offer.price + shipping }
+                });
+            }
+        }
+        return [...new Set(offers.map(o => o.componentId))];
+    }
+}
+
+module.exports = new VendorService();
@@ -0,0 +1,165 @@
+// logic/buildSlots.js
+// Build ke har slot ki definition: DB relation, "kitna achha" (utility) aur
+// pruning ke liye kaunse fields compatibility pe asar daalte hain.
+// Saath mein builder ki apni search constraints (compatibility rules RuleEngine / DB mein hain).
+
+const EFFICIENCY_RANK = { bronze: 1, silver: 2, gold: 3, platinum: 4, titanium: 5 };
+
+// Bundled (box) cooler isse zyada TDP wale CPU ke liye kaafi nahi maana jata
+const STOCK_COOLER_MAX_TDP = 105;
+
+// Cooler ki capacity (W): tdp_rating na ho to size se estimate
+// AIO = radiator size se, air = tower height se (low profile < 70mm, single tower ~150mm)
+const coolerCapacity = (s) => {
+    if (s.tdp_rating) return s.tdp_rating;
+    if (s.radiator_size) {
+        if (s.radiator_size >= 360) return 300;
+        if (s.radiator_size >= 280) return 250;
+        if (s.radiator_size >= 240) return 220;
+        return 150;
+    }
+    if (!s.height_mm) return 120;
+    if (s.height_mm < 70) return 65;
+    if (s.height_mm < 130) return 130;
+    if (s.height_mm < 150) return 180;
+    return 220;
+};
+
+const stockCoolerAdequate = (cpu) => cpu.includes_cooler && cpu.tdp_watts <= STOCK_COOLER_MAX_TDP;
+
+const isM2 = (storage) => /nvme|m\.2/i.test(storage.type);
+const sum = (units, field) => units.reduce((total, u) => total + (u[field] || 0), 0);
+
+// Multi-unit slots (RAM kits, drives): ek slot mein same part ki `quantity` units.
+// Slot spec = pehli unit ke fields + totals (rules: ram.total_modules <= motherboard.memory_slots ...)
+const MULTI_SLOTS = {
+    ram: {
+        maxUnits: 4,
+        totals: (units) => ({ total_capacity_gb: sum(units, 'capacity_gb'), total_modules: sum(units, 'modules') })
+    },
+    storage: {
+        maxUnits: 4,
+        totals: (units) => ({ total_capacity_gb: sum(units, 'capacity_gb'), m2_count: units.filter(isM2).length })
+    }
+};
+
+// units (spec rows) -> aggregated slot spec. Single-unit slots pe pehli unit hi
+const aggregateSpec = (slot, units) => {
+    const multi = MULTI_SLOTS[slot];
+    if (!multi || units.length === 0) return units[0] || null;
+    return { ...units[0], quantity: units.length, ...multi.totals(units) };
+};
+
+// Spec already aggregated hai? (totals present) warna `quantity` (default 1) units maan ke aggregate karo
+const ensureAggregated = (slot, spec) => {
+    if (!MULTI_SLOTS[slot] || !spec || spec.total_capacity_gb !== undefined) return spec;
+    const quantity = Math.max(1, Number(spec.quantity) || 1);
+    return aggregateSpec(slot, Array(quantity).fill(spec));
+};
+
+// Utility = rough performance proxy (specs se). `scored` slots mein benchmark scores
+// mile to BuilderService utility ko PerformanceService se override karta hai.
+const SLOT_DEFS = {
+    cpu: {
+        type: 'CPU',
+        relation: 'cpu',
+        scored: true,
+        utility: (s) => s.threads * s.boost_clock,
+        // Same key + kam price + zyada utility + kam tdp => dusra candidate bekaar
+        dominanceKey: (s) => `${s.socket}|${s.integrated_gpu}|${s.includes_cooler}`,
+        dominanceFields: [['tdp_watts', 'min']]
+    },
+    motherboard: {
+        type: 'MOTHERBOARD',
+        relation: 'motherboard',
+        utility: (s) => 1 + s.m2_slots * 0.1 + (s.wifi ? 0.2 : 0),
+        dominanceKey: (s) => `${s.socket}|${s.memory_type}|${s.form_factor}`,
+        dominanceFields: [['memory_slots', 'max'], ['max_memory_gb', 'max'], ['m2_slots', 'max']]
+    },
+    ram: {
+        type: 'RAM',
+        relation: 'ram',
+        // Candidates aggregated hote hain (kits x quantity) -> total capacity
+        utility: (s) => (s.total_capacity_gb ?? s.capacity_gb) + s.speed_mhz / 1000,
+        dominanceKey: (s) => s.memory_type,
+        dominanceFields: [['total_modules', 'min']]
+    },
+    gpu: {
+        type: 'GPU',
+        relation: 'gpu',
+        scored: true,
+        utility: (s) => s.tdp_watts + s.vram_gb * 15,
+        dominanceKey: () => 'gpu',
+        dominanceFields: [['length_mm', 'min'], ['tdp_watts', 'min']]
+    },
+    cabinet: {
+        type: 'CABINET',
+        relation: 'cabinet',
+        utility: () => 1,
+        dominanceKey: (s) => [...s.supported_forms].sort().join(','),
+        dominanceFields: [['max_gpu_len_mm', 'max'], ['max_cpu_height', 'max'], ['max_radiator_mm', 'max']]
+    },
+    cooler: {
+        type: 'COOLER',
+        relation: 'cooler',
+        // Allocation na ho to bhi build mein aata hai; "stock" = CPU ka bundled cooler (₹0)
+        always: true,
+        stockOption: true,
+        // Utility = cooling capacity, isliye pruning mein "zyada capacity" apne aap aata hai
+        utility: (s) => coolerCapacity(s),
+        dominanceKey: (s) => `${s.radiator_size ? 'aio' : 'air'}|${[...s.sockets].sort().join(',')}`,
+        dominanceFields: [['height_mm', 'min'], ['radiator_size', 'min']]
+    },
+    psu: {
+        type: 'PSU',
+        relation: 'psu',
+        utility: (s) => 1 + (EFFICIENCY_RANK[String(s.efficiency || '').toLowerCase()] || 0) * 0.1,
+        dominanceKey: () => 'psu',
+        dominanceFields: [['wattage', 'max']]
+    },
+    storage: {
+        type: 'STORAGE',
+        relation: 'storage',
+        utility: (s) => Math.log2(Math.max(s.total_capacity_gb ?? s.capacity_gb, 1)) + (isM2(s) ? 1 : 0),
+        dominanceKey: (s) => s.type,
+        dominanceFields: [['m2_count', 'min']]
+    }
+};
+
+// Search order: constraints jaldi check ho sakein isliye CPU -> board -> RAM pehle
+const SLOT_ORDER = ['cpu', 'motherboard', 'ram', 'gpu', 'cabinet', 'cooler', 'psu', 'storage'];
+
+// Cooler slot ka "stock" candidate (koi component nahi)
+const STOCK_COOLER = { id: 'STOCK_COOLER', price: 0, utility: 0, spec: null, meta: null, stock: true };
+
+// System power estimate (RuleEngine ka system.power_w): CPU + GPU + 100W baaki parts
+// cpu / gpu = strict spec rows (ya null)
+const OTHER_PARTS_WATTS = 100;
+const estimatePower = ({ cpu, gpu }) =>
+    (cpu ? cpu.tdp_watts : 0) + (gpu ? gpu.tdp_watts : 0) + OTHER_PARTS_WATTS;
+
+// Builder ki apni search constraints (compatibility checks DB rules se aate hain - RuleEngine)
+// Jab `slots` ke saare parts build mein aa jaayein tab check hota hai
+const SEARCH_CONSTRAINTS = [
+    {
+        // Bundled cooler kaafi hai -> alag cooler nahi (pinned ho to chalega); nahi hai -> cooler zaroori
+        id: 'cooler_needed',
+        slots: ['cooler', 'cpu'],
+        test: (b) => (b.cooler.stock
+            ? stockCoolerAdequate(b.cpu.spec)
+            : !stockCoolerAdequate(b.cpu.spec) || Boolean(b.cooler.meta && b.cooler.meta.pinned))
+    }
+];
+
+module.exports = {
+    SLOT_DEFS,
+    SLOT_ORDER,
+    SEARCH_CONSTRAINTS,
+    STOCK_COOLER,
+    MULTI_SLOTS,
+    aggregateSpec,
+    ensureAggregated,
+    estimatePower,
+    coolerCapacity,
+    stockCoolerAdequate
+};
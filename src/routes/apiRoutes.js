@@ -5,23 +5,86 @@ const categoryController = require('../controllers/categoryController');
 const masterController = require('../controllers/masterController');
 const buildController = require('../controllers/buildController');
 const ruleController = require('../controllers/ruleController');
+const watchController = require('../controllers/watchController');
+const jobController = require('../controllers/jobController');
+const trackingLinkController = require('../controllers/trackingLinkController');
+const vendorController = require('../controllers/vendorController');
+const performanceController = require('../controllers/performanceController');
+const buildProfileController = require('../controllers/buildProfileController');
+const savedBuildController = require('../controllers/savedBuildController');
 router.get('/master-data', masterController.getInitData);
 router.get('/categories', categoryController.getCategories);
 router.get('/rules', ruleController.getRules);
+router.get('/rules/fields', ruleController.getRuleFields);
 
 router.get('/components', componentController.getComponents);
+router.get('/components/value-ranking', performanceController.getValueRanking);
 router.get('/components/:id', componentController.getComponentById);
+router.get('/components/:id/price-history', componentController.getPriceHistory);
+router.get('/components/:id/compatible', componentController.getCompatibleComponents);
+router.get('/components/:id/tracking-links', trackingLinkController.getTrackingLinks);
 router.post('/categories', categoryController.createCategory);
 router.post('/components', componentController.createComponent);
 router.patch('/components/:id', componentController.updateComponent);
 router.delete('/components/:id', componentController.deleteComponent);
+router.patch('/components/:id/performance', performanceController.updatePerformance);
+router.post('/components/performance/bulk', performanceController.bulkUpdatePerformance);
+
+router.post('/components/:id/tracking-links', trackingLinkController.createTrackingLink);
+router.post('/components/:id/tracking-links/bulk', trackingLinkController.bulkCreateTrackingLinks);
+router.patch('/components/:id/tracking-links/:linkId', trackingLinkController.updateTrackingLink);
+router.post('/components/:id/tracking-links/:linkId/toggle', trackingLinkController.toggleTrackingLink);
+router.delete('/components/:id/tracking-links/:linkId', trackingLinkController.deleteTrackingLink);
 
 router.post('/components/manual-offer', componentController.addManualOffer);
+router.patch('/offers/:id', componentController.updateOffer);
+router.delete('/offers/:id', componentController.deleteOffer);
 router.post('/components/fetch-specs', componentController.fetchSpecs);
 router.post('/build/generate', buildController.generatePCBuild);
+router.post('/build/export', buildController.exportPCBuild);
+router.post('/build/swaps', buildController.getSwapSuggestions);
+router.get('/build/profiles', buildProfileController.getProfiles);
+router.get('/build/profiles/:id', buildProfileController.getProfileById);
+router.post('/build/profiles', buildProfileController.createProfile);
+router.patch('/build/profiles/:id', buildProfileController.updateProfile);
+router.delete('/build/profiles/:id', buildProfileController.deleteProfile);
+
+router.get('/builds', savedBuildController.getBuilds);
+router.get('/builds/share/:slug', savedBuildController.getSharedBuild);
+router.post('/builds/share/:slug/clone', savedBuildController.cloneSharedBuild);
+router.get('/builds/:id', savedBuildController.getBuildById);
+router.post('/builds', savedBuildController.createBuild);
+router.patch('/builds/:id', savedBuildController.updateBuild);
+router.post('/builds/:id/clone', savedBuildController.cloneBuild);
+router.delete('/builds/:id', savedBuildController.deleteBuild);
 
 router.post('/rules', ruleController.createRule);
-router.delete('/rules/:id', ruleController.deleteRule);
 router.post('/rules/validate', ruleController.validateBuild);
+router.patch('/rules/:id', ruleController.updateRule);
+router.post('/rules/:id/toggle', ruleController.toggleRule);
+router.get('/rules/:id/versions', ruleController.getRuleVersions);
+router.post('/rules/:id/rollback', ruleController.rollbackRule);
+router.delete('/rules/:id', ruleController.deleteRule);
+
+router.get('/vendors', vendorController.getVendors);
+router.post('/vendors', vendorController.createVendor);
+router.patch('/vendors/:id', vendorController.updateVendor);
+router.delete('/vendors/:id', vendorController.deleteVendor);
+router.get('/sources', vendorController.getSources);
+router.post('/sources', vendorController.createSource);
+router.patch('/sources/:id', vendorController.updateSource);
+router.delete('/sources/:id', vendorController.deleteSource);
+
+router.get('/watches', watchController.getWatches);
+router.get('/watches/:id', watchController.getWatchById);
+router.post('/watches', watchController.createWatch);
+router.patch('/watches/:id', watchController.updateWatch);
+router.delete('/watches/:id', watchController.deleteWatch);
+router.get('/alerts', watchController.getAlerts);
+
+router.post('/jobs/price-tracker/run', jobController.triggerPriceTracker);
+router.post('/jobs/price-tracker/cancel', jobController.cancelPriceTracker);
+router.get('/jobs/price-tracker/runs', jobController.getRuns);
+router.get('/jobs/price-tracker/runs/:id', jobController.getRunById);
 
 module.exports = router;
\ No newline at end of file
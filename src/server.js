@@ -1,7 +1,11 @@
 const app = require('./app');
+const { startScheduler } = require('./jobs/scheduler');
 
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Price tracker cron (PRICE_TRACKER_ENABLED / PRICE_TRACKER_CRON env se configure)
+startScheduler();
\ No newline at end of file
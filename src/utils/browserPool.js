@@ -0,0 +1,109 @@
+// utils/browserPool.js
+// Ek shared Puppeteer browser + reusable pages. Har URL ke liye naya browser launch nahi hota.
+
+const puppeteer = require('puppeteer');
+
+const launchOptions = {
+    headless: "new",
+    args: [
+        '--no-sandbox', 
+        '--disable-setuid-sandbox', 
+        '--disable-blink-features=AutomationControlled',
+        '--window-size=1920,1080',
+        '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    ]
+};
+
+class BrowserPool {
+    constructor({ maxPages }) {
+        this.maxPages = maxPages;
+        this.browser = null;
+        this.launching = null;
+        this.idlePages = [];
+        this.inUse = 0;
+        this.waiters = [];
+    }
+
+    async getBrowser() {
+        if (this.browser && this.browser.connected) return this.browser;
+        if (!this.launching) {
+            this.launching = puppeteer.launch(launchOptions)
+                .then(browser => {
+                    this.browser = browser;
+                    this.idlePages = [];
+                    browser.on('disconnected', () => {
+                        if (this.browser === browser) {
+                            this.browser = null;
+                            this.idlePages = [];
+                        }
+                    });
+                    return browser;
+                })
+                .finally(() => { this.launching = null; });
+        }
+        return this.launching;
+    }
+
+    async acquire() {
+        // Slot free hone tak wait; release() slot seedha waiter ko hand over karta hai
+        if (this.inUse >= this.maxPages) {
+            await new Promise(resolve => this.waiters.push(resolve));
+        } else {
+            this.inUse++;
+        }
+
+        try {
+            const browser = await this.getBrowser();
+            let page = this.idlePages.pop();
+            if (!page || page.isClosed()) {
+                page = await browser.newPage();
+                await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
+            }
+            return page;
+        } catch (error) {
+            this.release(null);
+            throw error;
+        }
+    }
+
+    release(page, { discard = false } = {}) {
+        if (page) {
+            if (discard || page.isClosed() || !this.browser || !this.browser.connected) {
+                page.close().catch(() => {});
+            } else {
+                this.idlePages.push(page);
+            }
+        }
+
+        const waiter = this.waiters.shift();
+        if (waiter) waiter();
+        else this.inUse--;
+    }
+
+    // Page lo, fn chalao, wapas pool mein daalo (error pe page discard)
+    async withPage(fn) {
+        const page = await this.acquire();
+        try {
+            const result = await fn(page);
+            this.release(page);
+            return result;
+        } catch (error) {
+            this.release(page, { discard: true });
+            throw error;
+        }
+    }
+
+    // Koi page use mein nahi hai to browser band karo (memory free)
+    async closeIfIdle() {
+        if (this.inUse > 0 || !this.browser) return false;
+        const browser = this.browser;
+        this.browser = null;
+        this.idlePages = [];
+        await browser.close().catch(() => {});
+        return true;
+    }
+}
+
+module.exports = new BrowserPool({
+    maxPages: Number(process.env.SCRAPER_MAX_PAGES) || Number(process.env.SCRAPER_CONCURRENCY) || 4
+});
@@ -0,0 +1,168 @@
+// utils/buildExporter.js
+// Build -> paste-able parts list (forums, Reddit, WhatsApp, sales quotes).
+// Input = generateBuild ka build shape:
+//   { parts: { cpu: <component row> | null, ... }, stock_cooler, compatibility_status: { errors, warnings } }
+// Part row se: brand / model / variant, best_vendor, price_current (per unit), quantity, link (ya product_page), owned
+
+const { SLOT_ORDER } = require('../logic/buildSlots');
+
+const SLOT_LABELS = {
+    cpu: 'CPU',
+    motherboard: 'Motherboard',
+    ram: 'Memory',
+    gpu: 'Graphics Card',
+    cabinet: 'Case',
+    cooler: 'CPU Cooler',
+    psu: 'Power Supply',
+    storage: 'Storage'
+};
+
+const formatPrice = (price) => `₹${Number(price).toLocaleString('en-IN')}`;
+
+// Link sirf http(s); jo characters Markdown "(...)" / BBCode "[url=...]" tod dete hain wo percent-encode
+const safeUrl = (link) => {
+    const url = String(link || '').trim();
+    if (!/^https?:\/\//i.test(url)) return '';
+    return url.replace(/[\s()[\]<>"'`|\\]/g, (c) => encodeURIComponent(c) !== c
+        ? encodeURIComponent(c)
+        : `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+};
+
+// Build -> rows (slot order mein) + total + notes (errors pehle, phir warnings)
+function toRows(build) {
+    const rows = [];
+    let total = 0;
+
+    for (const slot of SLOT_ORDER) {
+        const part = (build.parts || {})[slot];
+        if (!part) {
+            if (slot === 'cooler' && build.stock_cooler) {
+                rows.push({ slot: SLOT_LABELS[slot], name: 'Stock cooler (bundled with CPU)', vendor: '', price: 'Included', link: '' });
+            }
+            continue;
+        }
+
+        const quantity = part.quantity || 1;
+        let price = '';
+        if (part.owned) price = 'Owned';
+        else if (part.price_current > 0) {
+            price = formatPrice(part.price_current * quantity);
+            total += part.price_current * quantity;
+        } else price = 'Out of stock';
+
+        const name = `${part.brand} ${part.model} ${part.variant || ''}`.trim();
+        rows.push({
+            slot: SLOT_LABELS[slot] || slot,
+            name: quantity > 1 ? `${quantity} x ${name}` : name,
+            vendor: part.best_vendor || '',
+            price,
+            link: safeUrl(part.link || part.product_page)
+        });
+    }
+
+    const status = build.compatibility_status || {};
+    const notes = [
+        ...(status.errors || []).map(message => ({ level: 'Error', message })),
+        ...(status.warnings || []).map(message => ({ level: 'Warning', message }))
+    ];
+    return { rows, total: formatPrice(total), notes };
+}
+
+// Markdown table me "|" aur newline toot jaate hain; "[" / "]" se text link ban sakta hai
+const mdCell = (value) => String(value).replace(/[|[\]]/g, '\\$&').replace(/\n/g, ' ');
+// Spreadsheet "=", "+", "-", "@" se shuru hone wale cell ko formula maan leta hai (CSV injection) -> "'" prefix
+const csvCell = (value) => {
+    let cell = String(value);
+    if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+// BBCode mein escape nahi hota: "[" / "]" ke saath zero-width space taaki text tag na bane
+const bbText = (value) => String(value).replace(/\[/g, '[\u200b').replace(/\]/g, '\u200b]');
+
+const FORMATS = {
+    markdown: {
+        contentType: 'text/markdown',
+        extension: 'md',
+        render({ rows, total, notes }, title) {
+            const lines = [];
+            if (title) lines.push(`## ${mdCell(title)}`, '');
+            lines.push('| Slot | Part | Vendor | Price | Link |', '| --- | --- | --- | ---: | --- |');
+            for (const r of rows) {
+                lines.push(`| ${mdCell(r.slot)} | ${mdCell(r.name)} | ${mdCell(r.vendor)} | ${mdCell(r.price)} | ${r.link ? `[Buy](${r.link})` : ''} |`);
+            }
+            lines.push(`| **Total** | | | **${total}** | |`);
+            if (notes.length) {
+                lines.push('', '**Compatibility notes**', '');
+                notes.forEach(n => lines.push(`- ${n.level}: ${n.message}`));
+            }
+            return lines.join('\n') + '\n';
+        }
+    },
+
+    csv: {
+        contentType: 'text/csv',
+        extension: 'csv',
+        render({ rows, total, notes }) {
+            const lines = [['Slot', 'Part', 'Vendor', 'Price', 'Link']];
+            rows.forEach(r => lines.push([r.slot, r.name, r.vendor, r.price, r.link]));
+            lines.push(['Total', '', '', total, '']);
+            notes.forEach(n => lines.push([n.level, n.message, '', '', '']));
+            return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+        }
+    },
+
+    // WhatsApp / SMS: koi table nahi, ek line per part
+    text: {
+        contentType: 'text/plain',
+        extension: 'txt',
+        render({ rows, total, notes }, title) {
+            const lines = [];
+            if (title) lines.push(title, '');
+            for (const r of rows) {
+                const vendor = r.vendor ? ` (${r.vendor})` : '';
+                lines.push(`${r.slot}: ${r.name} - ${r.price}${vendor}`);
+                if (r.link) lines.push(`  ${r.link}`);
+            }
+            lines.push('', `Total: ${total}`);
+            if (notes.length) {
+                lines.push('');
+                notes.forEach(n => lines.push(`${n.level}: ${n.message}`));
+            }
+            return lines.join('\n') + '\n';
+        }
+    },
+
+    bbcode: {
+        contentType: 'text/plain',
+        extension: 'txt',
+        render({ rows, total, notes }, title) {
+            const lines = [];
+            if (title) lines.push(`[b]${bbText(title)}[/b]`, '');
+            lines.push('[table]', '[tr][th]Slot[/th][th]Part[/th][th]Vendor[/th][th]Price[/th][/tr]');
+            for (const r of rows) {
+                const name = r.link ? `[url=${r.link}]${bbText(r.name)}[/url]` : bbText(r.name);
+                lines.push(`[tr][td]${bbText(r.slot)}[/td][td]${name}[/td][td]${bbText(r.vendor)}[/td][td]${bbText(r.price)}[/td][/tr]`);
+            }
+            lines.push(`[tr][td][b]Total[/b][/td][td][/td][td][/td][td][b]${total}[/b][/td][/tr]`, '[/table]');
+            if (notes.length) {
+                lines.push('', '[list]');
+                notes.forEach(n => lines.push(`[*]${n.level}: ${bbText(n.message)}`));
+                lines.push('[/list]');
+            }
+            return lines.join('\n') + '\n';
+        }
+    }
+};
+
+// Return: { contentType, extension, body } ya null (unknown format)
+function exportBuild(build, format, { title } = {}) {
+    const def = FORMATS[String(format || '').toLowerCase()];
+    if (!def) return null;
+    return {
+        contentType: def.contentType,
+        extension: def.extension,
+        body: def.render(toRows(build), title)
+    };
+}
+
+module.exports = { exportBuild, FORMATS: Object.keys(FORMATS) };
@@ -0,0 +1,42 @@
+// utils/jobLock.js
+// DB-backed lease lock: ek time pe sirf ek process job chala sake.
+// Lock TTL ke baad expire ho jata hai (crash hone par bhi atka nahi rehta).
+
+const os = require('os');
+const crypto = require('crypto');
+const prisma = require('../config/db');
+
+async function acquireLock(name, ttlMs) {
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + ttlMs);
+
+    try {
+        await prisma.jobLock.create({ data: { name, owner, lockedUntil, acquiredAt: now } });
+        return owner;
+    } catch (error) {
+        // P2002 = lock row pehle se hai; expired ho to take over karo
+        if (error.code !== 'P2002') throw error;
+    }
+
+    const { count } = await prisma.jobLock.updateMany({
+        where: { name, lockedUntil: { lt: now } },
+        data: { owner, lockedUntil, acquiredAt: now }
+    });
+    return count === 1 ? owner : null;
+}
+
+// Lease badhao (long running job ke beech mein)
+async function extendLock(name, owner, ttlMs) {
+    const { count } = await prisma.jobLock.updateMany({
+        where: { name, owner },
+        data: { lockedUntil: new Date(Date.now() + ttlMs) }
+    });
+    return count === 1;
+}
+
+async function releaseLock(name, owner) {
+    await prisma.jobLock.deleteMany({ where: { name, owner } });
+}
+
+module.exports = { acquireLock, extendLock, releaseLock };
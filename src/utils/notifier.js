@@ -0,0 +1,68 @@
+// utils/notifier.js
+// Alert delivery transports. ALERT_TRANSPORT=log se sab kuch console pe jata hai (local stub).
+
+const CHANNELS = ['webhook', 'email', 'log'];
+
+const logTransport = async (alert) => {
+    console.log(`[Notifier] 📣 (${alert.channel} -> ${alert.destination || 'default'})`, JSON.stringify(alert.payload));
+};
+
+const webhookTransport = async (alert) => {
+    const url = alert.destination || process.env.ALERT_WEBHOOK_URL;
+    if (!url) throw new Error("No webhook URL (set destination or ALERT_WEBHOOK_URL)");
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(alert.payload),
+        signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+};
+
+let mailer = null;
+const getMailer = () => {
+    if (!mailer) {
+        if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST not configured");
+        const nodemailer = require('nodemailer');
+        mailer = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        });
+    }
+    return mailer;
+};
+
+const emailTransport = async (alert) => {
+    const to = alert.destination || process.env.ALERT_EMAIL_TO;
+    if (!to) throw new Error("No email address (set destination or ALERT_EMAIL_TO)");
+
+    const p = alert.payload;
+    await getMailer().sendMail({
+        from: process.env.ALERT_EMAIL_FROM || 'alerts@xorig.in',
+        to,
+        subject: `Price drop: ${p.component} now ₹${p.price}`,
+        text: `${p.component} is now ₹${p.price} at ${p.vendor} (target ₹${p.targetPrice}).\n${p.url || ''}`
+    });
+};
+
+const TRANSPORTS = {
+    webhook: webhookTransport,
+    email: emailTransport,
+    log: logTransport
+};
+
+async function deliver(alert) {
+    // Env override (e.g. local dev mein sab alerts log stub pe)
+    const channel = process.env.ALERT_TRANSPORT || alert.channel;
+    const transport = TRANSPORTS[channel];
+    if (!transport) throw new Error(`Unknown alert channel: ${channel}`);
+    await transport(alert);
+}
+
+module.exports = { deliver, CHANNELS };
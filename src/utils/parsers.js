@@ -0,0 +1,25 @@
+// utils/parsers.js
+// Request body / query values (form-data aur JSON dono se "true" / "12" strings aate hain)
+
+// --- Helper to prevent NaN Crashes ---
+const parseNum = (val) => {
+    if (val === undefined || val === null || val === "") return undefined; // Update ke liye undefined chhod do agar missing hai
+    const n = Number(val);
+    return isNaN(n) ? 0 : n;
+};
+
+// --- Helper to parse Float ---
+const parseFloatNum = (val) => {
+    if (val === undefined || val === null || val === "") return undefined;
+    const n = parseFloat(val);
+    return isNaN(n) ? 0.0 : n;
+};
+
+// --- Helper for Booleans ---
+// Boolean("false") === true hota hai, isliye string compare
+const parseBool = (val) => {
+    if (val === undefined || val === null) return undefined;
+    return val === 'true' || val === 'True' || val === true;
+};
+
+module.exports = { parseNum, parseFloatNum, parseBool };
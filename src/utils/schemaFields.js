@@ -0,0 +1,26 @@
+// utils/schemaFields.js
+// Prisma schema (DMMF) se strict spec tables ke scalar fields - validation ke liye,
+// taaki field list schema ke saath apne aap sync rahe.
+
+const { Prisma } = require('@prisma/client');
+
+// Ye fields specs nahi hain (ids / relation keys)
+const INTERNAL_FIELDS = ['id', 'componentId'];
+
+// "Cpu" -> { socket: { type: 'String', isList: false, isRequired: true }, ... }
+function modelFields(modelName) {
+    const model = Prisma.dmmf.datamodel.models.find(m => m.name === modelName);
+    if (!model) return null;
+
+    const fields = {};
+    for (const f of model.fields) {
+        if (f.kind !== 'scalar' || INTERNAL_FIELDS.includes(f.name)) continue;
+        fields[f.name] = { type: f.type, isList: f.isList, isRequired: f.isRequired };
+    }
+    return fields;
+}
+
+// Component relation name ("cpu", "motherboard") -> model name ("Cpu", "Motherboard")
+const modelForRelation = (relation) => relation.charAt(0).toUpperCase() + relation.slice(1);
+
+module.exports = { modelFields, modelForRelation };
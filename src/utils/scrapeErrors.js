@@ -0,0 +1,28 @@
+// utils/scrapeErrors.js
+
+// category: failure ka type (NOT_FOUND, TIMEOUT, NETWORK, HTTP_ERROR, ...)
+// retryable: transient failure hai ya nahi (retry/backoff isi pe decide hota hai)
+class ScrapeError extends Error {
+    constructor(category, message, { retryable = false } = {}) {
+        super(message);
+        this.name = 'ScrapeError';
+        this.category = category;
+        this.retryable = retryable;
+    }
+}
+
+// Puppeteer navigation errors -> ScrapeError
+const fromNavigationError = (error) => {
+    if (error instanceof ScrapeError) return error;
+    if (error.name === 'TimeoutError') {
+        return new ScrapeError('TIMEOUT', error.message, { retryable: true });
+    }
+    if (/net::ERR_|Target closed|Session closed|Protocol error/i.test(error.message)) {
+        return new ScrapeError('NETWORK', error.message, { retryable: true });
+    }
+    return error;
+};
+
+const isRetryable = (error) => error instanceof ScrapeError && error.retryable;
+
+module.exports = { ScrapeError, fromNavigationError, isRetryable };
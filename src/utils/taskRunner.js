@@ -0,0 +1,69 @@
+// utils/taskRunner.js
+// Chhote async helpers: abortable sleep, exponential backoff retry,
+// bounded concurrency aur per-domain throttling.
+
+const abortError = () => {
+    const error = new Error('Operation cancelled');
+    error.name = 'AbortError';
+    return error;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// fn(attempt) ko retry karo jab tak shouldRetry(error) true hai.
+// Delay: baseDelayMs * 2^attempt (+ jitter), maxDelayMs pe capped.
+async function withRetry(fn, { retries = 2, baseDelayMs = 2000, maxDelayMs = 30000, signal, shouldRetry = () => true, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw abortError();
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || signal?.aborted || !shouldRetry(error)) throw error;
+            const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const delay = Math.round(backoff * (0.75 + Math.random() * 0.5));
+            if (onRetry) onRetry(error, attempt + 1, delay);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+// Max `limit` workers ek saath. Signal abort hone par naye items start nahi hote.
+async function runWithConcurrency(items, limit, worker, { signal } = {}) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length && !signal?.aborted) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+// Har key (domain/vendor) ke requests ke beech kam se kam intervalMs ka gap.
+// Alag domains ek dusre ko block nahi karte.
+class DomainThrottle {
+    constructor(defaultIntervalMs) {
+        this.defaultIntervalMs = defaultIntervalMs;
+        this.nextSlot = new Map();
+    }
+
+    async wait(key, intervalMs = this.defaultIntervalMs, signal) {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot.get(key) || 0);
+        this.nextSlot.set(key, slot + intervalMs);
+        if (slot > now) await sleep(slot - now, signal);
+    }
+}
+
+module.exports = { sleep, withRetry, runWithConcurrency, DomainThrottle };
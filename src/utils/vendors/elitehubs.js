@@ -0,0 +1,21 @@
+const { firstText, wooCommerceInStock, tableSpecs, headingOrTitle } = require('./helpers');
+
+// WooCommerce store; specs description tab ki table ya "Additional information" (attributes) table mein
+module.exports = {
+    id: 'elitehubs',
+    name: 'EliteHubs',
+    domains: ['elitehubs.com'],
+
+    extractTitle($) {
+        return headingOrTitle($, ['h1.product_title']);
+    },
+
+    extract($) {
+        const priceText = firstText($, ['.price .woocommerce-Price-amount', '.price']);
+        return { priceText, inStock: wooCommerceInStock($) };
+    },
+
+    extractSpecs($) {
+        return tableSpecs($, '#tab-description table tr, table.woocommerce-product-attributes tr');
+    }
+};
@@ -0,0 +1,40 @@
+// utils/vendors/helpers.js
+// Adapters ke common selectors helpers
+
+// Pehla selector jo match kare uska text
+const firstText = ($, selectors) => {
+    for (const sel of selectors) {
+        const el = $(sel).first();
+        if (el.length) return el.text().trim();
+    }
+    return null;
+};
+
+const isHidden = (el) => /display\s*:\s*none/i.test(el.attr('style') || '');
+
+// WooCommerce stores (PrimeABGB, EliteHubs, ...) ka stock markup same hota hai
+const wooCommerceInStock = ($) => {
+    const stockEl = $('.stock').first();
+    if (stockEl.length && stockEl.text().toLowerCase().includes('out of stock')) return false;
+    return $('.single_add_to_cart_button').length > 0;
+};
+
+// 2-column <tr> rows (rowSelector) -> { normalized_key: value }
+// OpenCart ke group header rows (ek hi colspan cell) apne aap skip ho jaate hain
+const tableSpecs = ($, rowSelector = 'tr') => {
+    const specs = {};
+    $(rowSelector).each((_, row) => {
+        const cols = $(row).find('td, th');
+        if (cols.length === 2) {
+            const key = $(cols[0]).text().trim().toLowerCase().replace(/[^a-z0-9]/g, '_');
+            const val = $(cols[1]).text().trim();
+            if (key && val && key.length < 30) specs[key] = val;
+        }
+    });
+    return specs;
+};
+
+// Product heading, na mile to document <title>
+const headingOrTitle = ($, selectors) => firstText($, selectors) || $('title').text().trim() || null;
+
+module.exports = { firstText, isHidden, wooCommerceInStock, tableSpecs, headingOrTitle };
@@ -0,0 +1,116 @@
+// utils/vendors/index.js
+// Vendor adapter registry. Har adapter batata hai ki kaunse domains uske hain
+// aur page HTML (cheerio) se kya nikalna hai:
+//   extractTitle($)  -> product name
+//   extract($)       -> { priceText, inStock }
+//   extractSpecs($)  -> { normalized_key: value }
+// Adapters sirf HTML string pe kaam karte hain - test/fixtures/vendors ke saved pages pe offline tests chalte hain.
+
+const cheerio = require('cheerio');
+const { tableSpecs } = require('./helpers');
+
+class UnsupportedVendorError extends Error {
+    constructor(url) {
+        super(`No vendor adapter registered for ${url}`);
+        this.name = 'UnsupportedVendorError';
+        this.code = 'UNSUPPORTED_VENDOR';
+        this.url = url;
+    }
+}
+
+// "₹5,650.00" -> 5650 (paise drop), kai prices ho to sabse kam
+const parsePrice = (priceStr) => {
+    if (!priceStr) return 0;
+    const matches = priceStr.match(/\d[\d,]*(?:\.\d+)?/g);
+    if (!matches) return 0;
+    const prices = matches
+        .map(m => parseInt(m.split('.')[0].replace(/,/g, '')))
+        .filter(n => !isNaN(n) && n > 0);
+    if (prices.length === 0) return 0;
+    return Math.min(...prices);
+};
+
+// Generic spec table (unknown domain ke spec pages ke liye): saari 2-column <tr> rows
+const extractSpecTable = ($) => tableSpecs($, 'tr');
+
+const ADAPTER_METHODS = ['extractTitle', 'extract', 'extractSpecs'];
+
+const adapters = [];
+
+function registerAdapter(adapter) {
+    const missing = ADAPTER_METHODS.filter(m => typeof adapter[m] !== 'function');
+    if (!adapter.id || !Array.isArray(adapter.domains) || missing.length) {
+        throw new Error(`Invalid vendor adapter: ${adapter.id || '(no id)'}${missing.length ? ` (missing ${missing.join(', ')})` : ''}`);
+    }
+    const existing = adapters.findIndex(a => a.id === adapter.id);
+    if (existing >= 0) adapters.splice(existing, 1);
+    adapters.push(adapter);
+}
+
+const hostnameOf = (url) => {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+};
+
+function findAdapter(url) {
+    const host = hostnameOf(url);
+    if (!host) return null;
+    return adapters.find(a =>
+        a.domains.some(d => host === d || host.endsWith(`.${d}`))
+    ) || null;
+}
+
+function getAdapter(url) {
+    const adapter = findAdapter(url);
+    if (!adapter) throw new UnsupportedVendorError(url);
+    return adapter;
+}
+
+const listAdapters = () => adapters.map(a => ({ id: a.id, name: a.name, domains: a.domains }));
+
+// Product page HTML -> { vendor, title, pageTitle, price, inStock, rawPriceText, priceFound }
+// title = adapter ka product name, pageTitle = document <title> (404 pages pehchanne ke liye)
+// priceFound = false matlab adapter ka koi price selector match nahi hua
+function parseProductHtml(url, html) {
+    const adapter = getAdapter(url);
+    const $ = cheerio.load(html);
+    const { priceText, inStock } = adapter.extract($);
+    const rawPriceText = priceText || '';
+
+    return {
+        vendor: adapter.id,
+        title: adapter.extractTitle($),
+        pageTitle: $('title').text().trim(),
+        rawPriceText,
+        price: parsePrice(rawPriceText),
+        priceFound: priceText !== null && priceText !== undefined,
+        inStock: Boolean(inStock)
+    };
+}
+
+// Spec page HTML -> specs. Unknown domain pe generic table parser chalega.
+function parseSpecsHtml(url, html) {
+    const adapter = findAdapter(url);
+    const $ = cheerio.load(html);
+    return adapter ? adapter.extractSpecs($) : extractSpecTable($);
+}
+
+registerAdapter(require('./mdcomputers'));
+registerAdapter(require('./vedant'));
+registerAdapter(require('./primeabgb'));
+registerAdapter(require('./elitehubs'));
+
+module.exports = {
+    UnsupportedVendorError,
+    registerAdapter,
+    findAdapter,
+    getAdapter,
+    listAdapters,
+    parseProductHtml,
+    parseSpecsHtml,
+    parsePrice,
+    extractSpecTable
+};
@@ -0,0 +1,32 @@
+const { firstText, isHidden, tableSpecs, headingOrTitle } = require('./helpers');
+
+// OpenCart store
+module.exports = {
+    id: 'mdcomputers',
+    name: 'MDComputers',
+    domains: ['mdcomputers.in'],
+
+    extractTitle($) {
+        return headingOrTitle($, ['.product-info h1', '#content h1']);
+    },
+
+    extract($) {
+        const priceText = firstText($, [
+            '.price-new',
+            '.product-price',
+            '.price',
+            '.right-content-product .price'
+        ]);
+
+        const btn = $('#button-cart').first();
+        const stockStatus = $('.stock-status').first();
+        const isOos = stockStatus.length && stockStatus.text().toLowerCase().includes('out of stock');
+        const inStock = btn.length > 0 && btn.attr('disabled') === undefined && !isHidden(btn) && !isOos;
+
+        return { priceText, inStock };
+    },
+
+    extractSpecs($) {
+        return tableSpecs($, '#tab-specification tr');
+    }
+};
@@ -0,0 +1,21 @@
+const { firstText, wooCommerceInStock, tableSpecs, headingOrTitle } = require('./helpers');
+
+// WooCommerce store
+module.exports = {
+    id: 'primeabgb',
+    name: 'PrimeABGB',
+    domains: ['primeabgb.com'],
+
+    extractTitle($) {
+        return headingOrTitle($, ['h1.product_title']);
+    },
+
+    extract($) {
+        const priceText = firstText($, ['ins .woocommerce-Price-amount', '.price']);
+        return { priceText, inStock: wooCommerceInStock($) };
+    },
+
+    extractSpecs($) {
+        return tableSpecs($, 'table.woocommerce-product-attributes tr');
+    }
+};
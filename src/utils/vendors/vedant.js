@@ -0,0 +1,22 @@
+const { firstText, tableSpecs, headingOrTitle } = require('./helpers');
+
+// OpenCart store (MDComputers jaisa markup, selectors ka order alag)
+module.exports = {
+    id: 'vedant',
+    name: 'Vedant Computers',
+    domains: ['vedantcomputers.com'],
+
+    extractTitle($) {
+        return headingOrTitle($, ['#product h1', '#content h1']);
+    },
+
+    extract($) {
+        const priceText = firstText($, ['.product-price', '.price-new', '.price']);
+        const inStock = $('#button-cart').length > 0;
+        return { priceText, inStock };
+    },
+
+    extractSpecs($) {
+        return tableSpecs($, '#tab-specification tr');
+    }
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const prisma = require('../../src/config/db');
+const alerts = require('../../src/logic/AlertService');
+
+// Outbox (unique dedupKey) + watch updates ka in-memory fake
+const setup = () => {
+    const outbox = new Map();
+    const updates = [];
+    prisma.$transaction = async (fn) => fn(prisma);
+    prisma.alertOutbox = {
+        create: async ({ data }) => {
+            if (outbox.has(data.dedupKey)) throw Object.assign(new Error('Unique constraint'), { code: 'P2002' });
+            outbox.set(data.dedupKey, data);
+            return data;
+        }
+    };
+    prisma.priceWatch = { update: async ({ data }) => { updates.push(data); return data; } };
+    return { outbox, updates };
+};
+
+const offer = { id: 'o1', vendor: 'MDComputers', vendorId: 'md', price: 9000, effective_price: null, url: 'https://x' };
+const watch = (extra = {}) => ({
+    id: 'w1',
+    componentId: 'c1',
+    targetPrice: 10000,
+    vendor: null,
+    channel: 'log',
+    lastAlertedPrice: null,
+    armedAt: new Date('2026-01-01T00:00:00Z'),
+    ...extra
+});
+
+test('target hit -> outbox alert + lastAlertedPrice', async () => {
+    const { outbox, updates } = setup();
+    const alert = await alerts.evaluateWatch(watch(), [offer], null);
+    assert.equal(alert.price, 9000);
+    assert.equal(outbox.size, 1);
+    assert.equal(updates[0].lastAlertedPrice, 9000);
+});
+
+test('re-arm ke baad same price pe dobara alert aata hai', async () => {
+    const { outbox } = setup();
+    await alerts.evaluateWatch(watch(), [offer], null);
+    const rearmed = watch({ armedAt: new Date('2026-01-05T00:00:00Z') });
+    const again = await alerts.evaluateWatch(rearmed, [offer], null);
+    assert.ok(again);
+    assert.equal(outbox.size, 2);
+});
+
+test('price target se upar -> re-arm (lastAlertedPrice null, naya armedAt)', async () => {
+    const { updates } = setup();
+    const result = await alerts.evaluateWatch(watch({ lastAlertedPrice: 9000 }), [{ ...offer, price: 12000 }], null);
+    assert.equal(result, null);
+    assert.equal(updates[0].lastAlertedPrice, null);
+    assert.ok(updates[0].armedAt instanceof Date);
+});
+
+test('same generation mein duplicate -> null, lastAlertedPrice sync hota hai', async () => {
+    const { updates } = setup();
+    await alerts.evaluateWatch(watch(), [offer], null);
+    updates.length = 0;
+    // lastAlertedPrice kisi wajah se null reh gaya (e.g. purana data)
+    assert.equal(await alerts.evaluateWatch(watch(), [offer], null), null);
+    assert.deepEqual(updates, [{ lastAlertedPrice: 9000 }]);
+});
+
+test('same ya zyada price pe dobara alert nahi', async () => {
+    const { outbox } = setup();
+    assert.equal(await alerts.evaluateWatch(watch({ lastAlertedPrice: 9000 }), [offer], null), null);
+    assert.equal(outbox.size, 0);
+});
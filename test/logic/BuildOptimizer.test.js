@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { optimize, paretoPrune } = require('../../src/logic/BuildOptimizer');
+
+const cand = (id, price, utility, spec = {}) => ({ id, price, utility, spec, meta: null });
+
+test('paretoPrune: mehenga + kam utility wala same-key candidate hat jata hai', () => {
+    const kept = paretoPrune([
+        cand('a', 100, 10, { socket: 'AM5', tdp: 65 }),
+        cand('b', 120, 9, { socket: 'AM5', tdp: 65 }),   // a se dominated
+        cand('c', 150, 12, { socket: 'AM5', tdp: 65 }),  // zyada utility -> rehta hai
+        cand('d', 130, 8, { socket: 'AM4', tdp: 65 })    // alag key -> compare hi nahi
+    ], { dominanceKey: (s) => s.socket, dominanceFields: [['tdp', 'min']] });
+
+    assert.deepEqual(kept.map(c => c.id).sort(), ['a', 'c', 'd']);
+});
+
+test('paretoPrune: constraint field worse ho to dominated nahi', () => {
+    const kept = paretoPrune([
+        cand('small', 100, 10, { wattage: 550 }),
+        cand('big', 120, 9, { wattage: 750 })  // sasta nahi, utility kam, par wattage zyada
+    ], { dominanceKey: () => 'psu', dominanceFields: [['wattage', 'max']] });
+
+    assert.deepEqual(kept.map(c => c.id), ['small', 'big']);
+});
+
+test('paretoPrune: dominanceKey nahi to sab candidates', () => {
+    const list = [cand('a', 1, 1), cand('b', 2, 0)];
+    assert.equal(paretoPrune(list, {}), list);
+});
+
+const slots = () => [
+    { slot: 'cpu', weight: 0.5, candidates: [cand('c1', 100, 10, { socket: 'AM5' }), cand('c2', 300, 20, { socket: 'LGA1700' })] },
+    { slot: 'gpu', weight: 0.5, candidates: [cand('g1', 200, 10), cand('g2', 500, 30)] }
+];
+
+test('optimize: budget ke andar best utility', () => {
+    const { builds, exhausted } = optimize({ slots: slots(), budget: 600, count: 1 });
+    assert.equal(exhausted, null);
+    assert.deepEqual(Object.fromEntries(Object.entries(builds[0].parts).map(([k, v]) => [k, v.id])), { cpu: 'c1', gpu: 'g2' });
+    assert.equal(builds[0].total, 600);
+});
+
+test('optimize: constraints wale combos skip', () => {
+    const constraints = [{ id: 'no_c1_g2', slots: ['cpu', 'gpu'], test: (b) => !(b.cpu.id === 'c1' && b.gpu.id === 'g2') }];
+    const { builds } = optimize({ slots: slots(), constraints, budget: 800, count: 1 });
+    assert.equal(builds[0].parts.cpu.id, 'c2');
+    assert.equal(builds[0].parts.gpu.id, 'g2');
+});
+
+test('optimize: count distinct CPU/GPU combos, best pehle', () => {
+    const { builds } = optimize({ slots: slots(), budget: 1000, count: 3 });
+    assert.equal(builds.length, 3);
+    const combos = builds.map(b => `${b.parts.cpu.id}|${b.parts.gpu.id}`);
+    assert.equal(new Set(combos).size, 3);
+    assert.equal(combos[0], 'c2|g2');
+    assert.ok(builds[0].score >= builds[1].score && builds[1].score >= builds[2].score);
+});
+
+test('optimize: sabse saste parts bhi budget se bahar -> exhausted budget', () => {
+    assert.deepEqual(optimize({ slots: slots(), budget: 250 }), { builds: [], exhausted: 'budget' });
+});
+
+test('optimize: khaali slot -> exhausted wahi slot', () => {
+    const s = slots();
+    s[1].candidates = [];
+    assert.deepEqual(optimize({ slots: s, budget: 1000 }), { builds: [], exhausted: 'gpu' });
+});
+
+test('optimize: constraint kisi bhi combo ko pass na hone de -> exhausted us slot pe', () => {
+    const constraints = [{ id: 'never', slots: ['cpu', 'gpu'], test: () => false }];
+    assert.deepEqual(optimize({ slots: slots(), constraints, budget: 1000 }), { builds: [], exhausted: 'gpu' });
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const buildProfiles = require('../../src/logic/BuildProfileService');
+
+// Seed ka EDITING profile
+const EDITING = {
+    id: 'EDITING',
+    allocations: { gpu: 0.25, cpu: 0.30, motherboard: 0.12, ram: 0.14, storage: 0.10, psu: 0.05, cabinet: 0.04 },
+    minSpecs: { gpu: { vram_gb: 8 }, ram: { capacity_gb: 32, memory_type: 'DDR5' }, storage: { capacity_gb: 1000 } }
+};
+
+test('specFilter: RAM / storage capacity_gb per-unit filter nahi banta', () => {
+    assert.deepEqual(buildProfiles.specFilter(EDITING, 'ram'), { memory_type: { in: ['DDR5'] } });
+    assert.deepEqual(buildProfiles.specFilter(EDITING, 'storage'), {});
+    assert.deepEqual(buildProfiles.specFilter(EDITING, 'gpu'), { vram_gb: { gte: 8 } });
+});
+
+test('capacityTargets: profile minimum aur user target mein jo bada', () => {
+    assert.deepEqual(buildProfiles.capacityTargets(EDITING), { ram: 32, storage: 1000 });
+    assert.deepEqual(buildProfiles.capacityTargets(EDITING, { ram: 64, storage: 500 }), { ram: 64, storage: 1000 });
+    assert.deepEqual(buildProfiles.capacityTargets({ minSpecs: {} }, { ram: 16 }), { ram: 16 });
+});
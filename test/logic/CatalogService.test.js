@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const catalog = require('../../src/logic/CatalogService');
+
+const keys = (query) => query.filters.map(f => f.key);
+
+test('parseQuery: type + spec filters', () => {
+    const { query } = catalog.parseQuery({ type: 'gpu', vram_gb_min: '8', brand: 'Zotac,MSI' });
+    assert.equal(query.slot, 'gpu');
+    assert.deepEqual(keys(query), ['type', 'brand', 'vram_gb']);
+    assert.deepEqual(query.filters[2].where, { vram_gb: { gte: 8 } });
+});
+
+test('parseQuery: unknown type -> 400 (silently empty result nahi)', () => {
+    const result = catalog.parseQuery({ type: 'CASE' });
+    assert.equal(result.status, 400);
+    assert.match(result.error, /type must be one of .*CABINET/);
+    assert.ok(catalog.parseQuery({ type: 'all' }).query);
+});
+
+test('parseQuery: type ke bina spec filter / tracking params ignore', () => {
+    const { query, error } = catalog.parseQuery({ search: 'ryzen', socket: 'AM5', _: '1712345678', utm_source: 'x' });
+    assert.equal(error, undefined);
+    assert.equal(query.slot, null);
+    assert.deepEqual(keys(query), ['search']);
+
+    const typed = catalog.parseQuery({ type: 'CPU', socket: 'AM5', fbclid: 'abc' }).query;
+    assert.deepEqual(keys(typed), ['type', 'socket']);
+});
+
+test('parseQuery: known field pe galat value abhi bhi 400', () => {
+    assert.equal(catalog.parseQuery({ type: 'GPU', vram_gb_min: 'lots' }).status, 400);
+    assert.equal(catalog.parseQuery({ type: 'CPU', socket_min: '1' }).status, 400);
+});
+
+test('toCard: price / vendor / freshness best offer se', () => {
+    const card = catalog.toCard({
+        id: 'c1', type: 'GPU', brand: 'Zotac', model: 'RTX 4060', variant: null, image_url: null,
+        price_current: 29999, best_vendor: 'MDComputers',
+        bestOffer: { lastSeenAt: new Date(), is_stale: false },
+        priceUpdatedAt: null, createdAt: null, updatedAt: null
+    });
+    assert.equal(card.best_price, 29999);
+    assert.equal(card.vendor, 'MDComputers');
+    assert.equal(card.freshness.isStale, false);
+
+    const unpriced = catalog.toCard({ id: 'c2', brand: 'X', model: 'Y', price_current: null, best_vendor: null, bestOffer: null });
+    assert.equal(unpriced.best_price, 0);
+    assert.equal(unpriced.vendor, 'N/A');
+    assert.equal(unpriced.freshness, null);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const prisma = require('../../src/config/db');
+const ruleEngine = require('../../src/logic/RuleEngine');
+const compatibility = require('../../src/logic/CompatibilityService');
+
+const RULES = [
+    {
+        id: 'r-socket',
+        name: 'CPU socket matches motherboard',
+        severity: 'error',
+        message: 'Socket Mismatch',
+        appliesTo: ['CPU', 'MOTHERBOARD'],
+        logic: { '==': [{ var: 'cpu.socket' }, { var: 'motherboard.socket' }] }
+    },
+    {
+        // appliesTo sirf CPU, par cooler padhta hai -> board / CPU pair pe nahi chalna chahiye
+        id: 'r-cooler',
+        name: 'CPU has a cooler',
+        severity: 'error',
+        message: 'No Cooler',
+        appliesTo: ['CPU'],
+        logic: { or: [{ var: 'cpu.stock_cooler_adequate' }, { '!!': { var: 'cooler' } }] }
+    },
+    {
+        id: 'r-tdp',
+        name: 'Board handles CPU TDP',
+        severity: 'warn',
+        message: 'Board VRM: {{cpu.tdp_watts}}W',
+        appliesTo: ['CPU', 'MOTHERBOARD'],
+        logic: { '<=': [{ var: 'cpu.tdp_watts' }, 95] }
+    }
+];
+
+const board = { id: 'mb1', type: 'MOTHERBOARD', brand: 'MSI', model: 'Z790', variant: null };
+const cpuRow = (id, socket, extra = {}) => ({
+    id, type: 'CPU', brand: 'Intel', model: id, variant: null, price_current: 30000,
+    cpu: { socket, tdp_watts: 125, includes_cooler: false, ...extra }
+});
+
+const setup = (rows) => {
+    const calls = { findMany: [] };
+    prisma.compatibilityRule = { findMany: async () => RULES };
+    ruleEngine.invalidate();
+    prisma.component = {
+        findUnique: async () => board,
+        count: async ({ where }) => rows.filter(r => where.cpu.is.AND.every(f => r.cpu.socket === f.socket.equals)).length,
+        findMany: async (args) => {
+            calls.findMany.push(args);
+            return rows.filter(r => args.where.cpu.is.AND.every(f => r.cpu.socket === f.socket.equals));
+        }
+    };
+    prisma.motherboard = { findUnique: async () => ({ socket: 'LGA1700', memory_type: 'DDR5' }) };
+    return calls;
+};
+
+test('findCompatible: bina bundled cooler wala CPU drop nahi hota', async () => {
+    const calls = setup([cpuRow('14700K', 'LGA1700'), cpuRow('7800X3D', 'AM5')]);
+    const result = await compatibility.findCompatible('mb1', 'CPU');
+
+    assert.equal(result.total, 1);
+    assert.equal(result.items[0].id, '14700K');
+    assert.deepEqual(result.pushed, ['CPU socket matches motherboard']);
+    // Socket DB mein push hua, warning sirf page pe
+    assert.deepEqual(calls.findMany[0].where.cpu, { is: { AND: [{ socket: { equals: 'LGA1700' } }] } });
+    assert.equal(calls.findMany[0].take, 20);
+    assert.deepEqual(result.items[0].warnings, ['Board VRM: 125W']);
+});
+
+test('findCompatible: unknown type / same type -> 400', async () => {
+    setup([]);
+    assert.equal((await compatibility.findCompatible('mb1', 'CASE')).status, 400);
+    assert.equal((await compatibility.findCompatible('mb1', 'MOTHERBOARD')).status, 400);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const prisma = require('../../src/config/db');
+const performance = require('../../src/logic/PerformanceService');
+
+test('metricForIntent / fieldFor', () => {
+    assert.equal(performance.metricForIntent('GAMING'), 'gaming');
+    assert.equal(performance.metricForIntent('AI_LLM'), 'productivity');
+    assert.equal(performance.fieldFor('gaming'), 'gaming_score');
+    assert.equal(performance.fieldFor('productivity'), 'productivity_score');
+    assert.equal(performance.fieldFor('mining'), null);
+});
+
+test('parseScores: null hatata hai, galat value -> error', () => {
+    assert.deepEqual(performance.parseScores({ gaming_score: '812.6', productivity_score: null }).data, { gaming_score: 813, productivity_score: null });
+    assert.match(performance.parseScores({ gaming_score: -1 }).error, /non-negative/);
+    assert.match(performance.parseScores({}).error, /at least one/);
+});
+
+test('applyScores: score wale as-is, baaki proxy x median ratio', () => {
+    const candidates = [
+        { id: 'a', utility: 10, spec: { gaming_score: 100 } }, // ratio 10
+        { id: 'b', utility: 20, spec: { gaming_score: 300 } }, // ratio 15
+        { id: 'c', utility: 40, spec: { gaming_score: 800 } }, // ratio 20
+        { id: 'd', utility: 30, spec: { gaming_score: null } }
+    ];
+    const scored = performance.applyScores(candidates, 'gaming');
+    assert.deepEqual(scored.map(c => c.utility), [100, 300, 800, 30 * 15]);
+    // Input mutate nahi hota
+    assert.equal(candidates[3].utility, 30);
+});
+
+test('applyScores: even count -> beech ke do ka average', () => {
+    const scored = performance.applyScores([
+        { utility: 10, spec: { productivity_score: 100 } }, // 10
+        { utility: 10, spec: { productivity_score: 200 } }, // 20
+        { utility: 5, spec: {} }
+    ], 'productivity');
+    assert.equal(scored[2].utility, 5 * 15);
+});
+
+test('applyScores: koi score nahi / unknown metric -> proxy waisa hi', () => {
+    const candidates = [{ utility: 7, spec: { gaming_score: null } }];
+    assert.equal(performance.applyScores(candidates, 'gaming'), candidates);
+    assert.equal(performance.applyScores(candidates, 'mining'), candidates);
+});
+
+test('valueRanking: score per ₹1000, tie pe zyada score pehle, limit', async () => {
+    let where = null;
+    const gpu = (id, price, score) => ({ id, brand: 'B', model: id, variant: null, price_current: price, best_vendor: 'V', priceUpdatedAt: null, gpu: { gaming_score: score } });
+    prisma.component = {
+        findMany: async (args) => {
+            where = args.where;
+            return [gpu('cheap', 10000, 50), gpu('fast', 40000, 400), gpu('mid', 20000, 200), gpu('meh', 30000, 150)];
+        }
+    };
+
+    const ranking = await performance.valueRanking({ type: 'GPU', metric: 'gaming', limit: 3 });
+    assert.deepEqual(where, { type: 'GPU', price_current: { gt: 0 }, gpu: { is: { gaming_score: { not: null } } } });
+    assert.deepEqual(ranking.map(r => [r.rank, r.id, r.value]), [[1, 'fast', 10], [2, 'mid', 10], [3, 'meh', 5]]);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const priceHistory = require('../../src/logic/PriceHistoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 31);
+const point = (vendor, price, daysAgo, extra = {}) => ({
+    vendor,
+    price,
+    effective_price: null,
+    in_stock: true,
+    capturedAt: new Date(NOW - daysAgo * DAY_MS),
+    ...extra
+});
+
+// priceSnapshot client ka chhota fake: latest snapshot + create calls
+const fakeClient = (latest) => {
+    const created = [];
+    return {
+        created,
+        priceSnapshot: {
+            findFirst: async () => latest,
+            create: async ({ data }) => { created.push(data); return data; }
+        }
+    };
+};
+
+const offer = { id: 'o1', componentId: 'c1', vendor: 'MDComputers', price: 10000, effective_price: 10200, in_stock: true };
+
+test('recordSnapshot: pehla snapshot hamesha banta hai', async () => {
+    const client = fakeClient(null);
+    await priceHistory.recordSnapshot(offer, client);
+    assert.equal(client.created.length, 1);
+    assert.equal(client.created[0].effective_price, 10200);
+});
+
+test('recordSnapshot: price / stock same ho to skip', async () => {
+    const client = fakeClient({ price: 10000, effective_price: 10200, in_stock: true });
+    assert.equal(await priceHistory.recordSnapshot(offer, client), null);
+    assert.equal(client.created.length, 0);
+});
+
+test('recordSnapshot: sirf stock badla to bhi snapshot', async () => {
+    const client = fakeClient({ price: 10000, effective_price: 10200, in_stock: false });
+    await priceHistory.recordSnapshot(offer, client);
+    assert.equal(client.created.length, 1);
+});
+
+test('windowStats: window se pehle active price bhi count hota hai', () => {
+    const stats = priceHistory.windowStats([
+        point('A', 9000, 60),
+        point('A', 8000, 3),
+        point('B', 9500, 20, { effective_price: 9800 })
+    ], NOW);
+
+    // 7d: A ka 60 din purana price (window start pe active) + 3 din wala + B ka 20 din wala
+    assert.deepEqual(stats['7d'], { min: 8000, max: 9800, avg: 8933, samples: 3 });
+    assert.deepEqual(stats['90d'], { min: 8000, max: 9800, avg: 8933, samples: 3 });
+});
+
+test('windowStats: koi point nahi to null', () => {
+    assert.deepEqual(priceHistory.windowStats([], NOW), { '7d': null, '30d': null, '90d': null });
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const prisma = require('../../src/config/db');
+const engine = require('../../src/logic/RuleEngine');
+
+// Seed ke rules jaise (seed.js require karte hi DB pe chalta hai, isliye yahan copy)
+const RULES = [
+    {
+        id: 'r-socket',
+        version: 1,
+        name: 'CPU socket matches motherboard',
+        severity: 'error',
+        message: 'Socket Mismatch: CPU is {{cpu.socket}}, Board is {{motherboard.socket}}',
+        appliesTo: ['CPU', 'MOTHERBOARD'],
+        logic: { '==': [{ var: 'cpu.socket' }, { var: 'motherboard.socket' }] }
+    },
+    {
+        id: 'r-slots',
+        version: 1,
+        name: 'RAM modules fit motherboard slots',
+        severity: 'error',
+        message: 'Not Enough RAM Slots: {{ram.total_modules}} modules, Board has {{motherboard.memory_slots}} slots',
+        appliesTo: ['RAM', 'MOTHERBOARD'],
+        logic: { '<=': [{ var: 'ram.total_modules' }, { var: 'motherboard.memory_slots' }] }
+    },
+    {
+        id: 'r-cooler',
+        version: 2,
+        name: 'CPU has a cooler',
+        severity: 'error',
+        message: 'No Cooler: CPU ({{cpu.tdp_watts}}W) does not ship with an adequate cooler',
+        appliesTo: ['CPU'],
+        logic: { or: [{ var: 'cpu.stock_cooler_adequate' }, { '!!': { var: 'cooler' } }] }
+    },
+    {
+        id: 'r-headroom',
+        version: 1,
+        name: 'PSU headroom',
+        severity: 'warn',
+        message: 'Low Headroom: Recommended {{system.recommended_psu_w}}W+',
+        appliesTo: ['PSU', 'CPU'],
+        logic: { '>=': [{ var: 'psu.wattage' }, { var: 'system.recommended_psu_w' }] }
+    }
+];
+
+const cpu = (extra = {}) => ({ socket: 'AM5', tdp_watts: 65, includes_cooler: true, ...extra });
+const board = { socket: 'AM5', memory_slots: 2 };
+
+test('buildContext: system power CPU + GPU + baaki parts se', () => {
+    const ctx = engine.buildContext({ CPU: cpu(), GPU: { tdp_watts: 200 } });
+    assert.equal(ctx.system.power_w, 365);
+    assert.equal(ctx.system.recommended_psu_w, Math.round(365 * 1.2));
+    assert.equal(ctx.cpu.stock_cooler_adequate, true);
+});
+
+test('buildContext: RAM quantity / units array -> totals', () => {
+    const kit = { capacity_gb: 16, modules: 2 };
+    const fromQuantity = engine.buildContext({ ram: { ...kit, quantity: 2 } });
+    assert.equal(fromQuantity.ram.total_capacity_gb, 32);
+    assert.equal(fromQuantity.ram.total_modules, 4);
+
+    const fromUnits = engine.buildContext({ storage: [{ capacity_gb: 1000, type: 'NVMe' }, { capacity_gb: 2000, type: 'SATA' }] });
+    assert.equal(fromUnits.storage.quantity, 2);
+    assert.equal(fromUnits.storage.total_capacity_gb, 3000);
+    assert.equal(fromUnits.storage.m2_count, 1);
+});
+
+test('buildContext input specs ko mutate nahi karta', () => {
+    const spec = cpu();
+    engine.buildContext({ cpu: spec });
+    assert.equal(spec.stock_cooler_adequate, undefined);
+});
+
+test('evaluate: compatible build valid hai', () => {
+    const result = engine.evaluate({ cpu: cpu(), motherboard: board, ram: { capacity_gb: 16, modules: 2 } }, RULES);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+});
+
+test('evaluate: failed error rule -> message render + issue details', () => {
+    const result = engine.evaluate({ cpu: cpu({ socket: 'LGA1700' }), motherboard: board }, RULES);
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, ['Socket Mismatch: CPU is LGA1700, Board is AM5']);
+    assert.equal(result.issues[0].ruleId, 'r-socket');
+    assert.equal(result.issues[0].ruleVersion, 1);
+});
+
+test('evaluate: RAM quantity slots se zyada -> error', () => {
+    const result = engine.evaluate({ motherboard: board, ram: { capacity_gb: 16, modules: 2, quantity: 2 } }, RULES);
+    assert.deepEqual(result.errors, ['Not Enough RAM Slots: 4 modules, Board has 2 slots']);
+});
+
+test('evaluate: bina cooler ke high TDP CPU -> error (warning nahi)', () => {
+    const hot = cpu({ tdp_watts: 170, includes_cooler: false });
+    const bare = engine.evaluate({ cpu: hot }, RULES);
+    assert.equal(bare.valid, false);
+    assert.deepEqual(bare.warnings, []);
+
+    const cooled = engine.evaluate({ cpu: hot, cooler: { height_mm: 155 } }, RULES);
+    assert.equal(cooled.valid, true);
+});
+
+test('evaluate: warn rule sirf warning deta hai, appliesTo missing -> skip', () => {
+    const result = engine.evaluate({ cpu: cpu(), psu: { wattage: 150 } }, RULES);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.warnings, ['Low Headroom: Recommended 198W+']);
+    assert.ok(!result.issues.some(i => i.ruleId === 'r-socket'));
+});
+
+test('evaluate: toota hua rule build ko fail nahi karta', () => {
+    const broken = { id: 'r-broken', name: 'broken', severity: 'error', message: 'x', appliesTo: ['CPU'], logic: { nope: [1] } };
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(engine.evaluate({ cpu: cpu() }, [broken]).valid, true);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('pushdown: comparison with known part -> Prisma where', () => {
+    const ctx = engine.buildContext({ cpu: cpu() });
+    assert.deepEqual(engine.pushdown(RULES[0], ctx, 'motherboard'), { socket: { equals: 'AM5' } });
+
+    const fits = { logic: { '>=': [{ var: 'cabinet.max_gpu_len_mm' }, { var: 'gpu.length_mm' }] } };
+    const gpuCtx = engine.buildContext({ gpu: { tdp_watts: 200, length_mm: 310 } });
+    assert.deepEqual(engine.pushdown(fits, gpuCtx, 'cabinet'), { max_gpu_len_mm: { gte: 310 } });
+});
+
+test('pushdown: target right side pe ho to operator flip hota hai', () => {
+    const rule = { logic: { '<=': [{ var: 'gpu.length_mm' }, { var: 'cabinet.max_gpu_len_mm' }] } };
+    const ctx = engine.buildContext({ gpu: { tdp_watts: 200, length_mm: 310 } });
+    assert.deepEqual(engine.pushdown(rule, ctx, 'cabinet'), { max_gpu_len_mm: { gte: 310 } });
+});
+
+test('pushdown: "in" list column -> has, "and" -> AND', () => {
+    const ctx = engine.buildContext({ cpu: cpu() });
+    const socket = { logic: { in: [{ var: 'cpu.socket' }, { var: 'cooler.sockets' }] } };
+    assert.deepEqual(engine.pushdown(socket, ctx, 'cooler'), { sockets: { has: 'AM5' } });
+
+    const both = { logic: { and: [socket.logic, { '<=': [{ var: 'cooler.height_mm' }, 160] }] } };
+    assert.deepEqual(engine.pushdown(both, ctx, 'cooler'), { AND: [{ sockets: { has: 'AM5' } }, { height_mm: { lte: 160 } }] });
+});
+
+test('pushdown: derived field / unknown value / or -> null (JS mein evaluate)', () => {
+    const ctx = engine.buildContext({ cpu: cpu() });
+    const derived = { logic: { '>=': [{ var: 'cooler.capacity_w' }, { var: 'cpu.tdp_watts' }] } };
+    assert.equal(engine.pushdown(derived, ctx, 'cooler'), null);
+    // Motherboard build mein nahi -> value unknown
+    assert.equal(engine.pushdown(RULES[1], ctx, 'ram'), null);
+    assert.equal(engine.pushdown(RULES[2], ctx, 'cooler'), null);
+});
+
+test('referencedSlots: system.* -> CPU + GPU', () => {
+    const slots = engine.referencedSlots({ logic: { '>=': [{ var: 'psu.wattage' }, { var: 'system.power_w' }] } });
+    assert.deepEqual([...slots].sort(), ['cpu', 'gpu', 'psu']);
+});
+
+test('getRules: sirf active + non-deleted rules, cache invalidate pe refetch', async () => {
+    const queries = [];
+    prisma.compatibilityRule = { findMany: async (args) => { queries.push(args.where); return RULES; } };
+    engine.invalidate();
+    assert.equal(await engine.getRules(), RULES);
+    await engine.getRules();
+    assert.deepEqual(queries, [{ isActive: true, deletedAt: null }]);
+
+    engine.invalidate();
+    await engine.getRules();
+    assert.equal(queries.length, 2);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const validator = require('../../src/logic/RuleValidator');
+
+const socketRule = {
+    appliesTo: ['CPU', 'MOTHERBOARD'],
+    message: 'Socket Mismatch: CPU is {{cpu.socket}}, Board is {{motherboard.socket}}',
+    logic: { '==': [{ var: 'cpu.socket' }, { var: 'motherboard.socket' }] }
+};
+
+test('valid rule -> koi error nahi', () => {
+    assert.deepEqual(validator.validate(socketRule), []);
+});
+
+test('catalog mein schema fields + derived values', () => {
+    const catalog = validator.fieldCatalog();
+    assert.equal(catalog['cpu.socket'].derived, false);
+    assert.equal(catalog['cooler.sockets'].isList, true);
+    assert.equal(catalog['system.power_w'].derived, true);
+    assert.equal(catalog['cpu.id'], undefined);
+});
+
+test('var typo -> JSON pointer ke saath error', () => {
+    const errors = validator.validate({
+        ...socketRule,
+        logic: { or: [{ '!!': { var: 'cooler' } }, { '==': [{ var: 'cpu.sockett' }, { var: 'motherboard.socket' }] }] }
+    });
+    assert.deepEqual(errors[0], { path: '/logic/or/1/==/0/var', message: 'Unknown field "sockett" on cpu in "cpu.sockett"' });
+});
+
+test('unknown operator / slot (pointer mein "~" escape hota hai)', () => {
+    const errors = validator.validate({
+        appliesTo: ['CPU', 'CASE'],
+        message: 'x',
+        logic: { '=~': [{ var: 'cpu.socket' }, 'AM5'] }
+    });
+    assert.deepEqual(errors.map(e => e.path), ['/logic/=~0', '/appliesTo/0', '/appliesTo/1']);
+    assert.match(errors[0].message, /Unknown operator/);
+    assert.match(errors[2].message, /Unknown slot "CASE"/);
+});
+
+test('appliesTo slot jo logic kabhi padhta nahi', () => {
+    const errors = validator.validate({ ...socketRule, appliesTo: ['CPU', 'MOTHERBOARD', 'GPU'] });
+    assert.deepEqual(errors, [{ path: '/appliesTo/2', message: 'appliesTo "GPU" but logic never reads gpu.*' }]);
+});
+
+test('system.* CPU + GPU ko cover karta hai', () => {
+    const errors = validator.validate({
+        appliesTo: ['PSU', 'CPU'],
+        message: 'Need {{system.power_w}}W',
+        logic: { '>=': [{ var: 'psu.wattage' }, { var: 'system.power_w' }] }
+    });
+    assert.deepEqual(errors, []);
+});
+
+test('list index chalta hai, scalar ke andar nahi', () => {
+    const catalog = validator.fieldCatalog();
+    assert.equal(validator.checkPath('cooler.sockets.0', catalog), null);
+    assert.match(validator.checkPath('cpu.socket.0', catalog), /goes deeper/);
+    assert.match(validator.checkPath('system', catalog), /needs a field/);
+});
+
+test('scoped operators ke andar var item-relative hai', () => {
+    const errors = validator.validate({
+        appliesTo: ['COOLER'],
+        message: 'x',
+        logic: { some: [{ var: 'cooler.sockets' }, { '==': [{ var: '' }, 'AM5'] }] }
+    });
+    assert.deepEqual(errors, []);
+});
+
+test('message placeholder bhi check hote hain', () => {
+    const errors = validator.validate({ ...socketRule, message: 'CPU is {{cpu.sockt}}' });
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, '/message');
+    assert.match(errors[0].message, /Placeholder \{\{cpu\.sockt\}\}/);
+});
+
+test('logic object nahi / appliesTo khaali', () => {
+    const errors = validator.validate({ logic: [], appliesTo: [], message: '' });
+    assert.deepEqual(errors.map(e => e.path), ['/logic', '/appliesTo', '/message']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const prisma = require('../../src/config/db');
+const ruleEngine = require('../../src/logic/RuleEngine');
+const savedBuilds = require('../../src/logic/SavedBuildService');
+
+prisma.compatibilityRule = { findMany: async () => [] };
+ruleEngine.invalidate();
+
+const component = { brand: 'AMD', model: 'Ryzen 5 7600', variant: null, price_current: 18000, best_vendor: 'MDComputers', cpu: { socket: 'AM5', tdp_watts: 65 } };
+const saved = {
+    id: 'b1',
+    shareSlug: 'abcd1234',
+    owner: 'someone@example.com',
+    label: 'Mera build',
+    profileId: 'GAMING',
+    budget: 60000,
+    totalAtSave: 20000,
+    clonedFromId: 'b0',
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    updatedAt: new Date('2026-01-02T00:00:00Z'),
+    items: [{ id: 'i1', buildId: 'b1', slot: 'cpu', componentId: 'c1', name: 'AMD Ryzen 5 7600', priceAtSave: 20000, quantity: 1, owned: false, component }]
+};
+
+test('reprice: current price pe delta + totals', async () => {
+    const repriced = await savedBuilds.reprice(saved);
+    assert.equal(repriced.items[0].priceNow, 18000);
+    assert.equal(repriced.pricing.delta, -2000);
+    assert.equal(repriced.pricing.deltaPct, -10);
+    assert.equal(repriced.compatibility_status.valid, true);
+});
+
+test('shareView: id / owner / clonedFromId / item ids nahi', async () => {
+    const shared = savedBuilds.shareView(await savedBuilds.reprice(saved));
+    for (const field of ['id', 'owner', 'clonedFromId']) assert.ok(!(field in shared), field);
+    assert.ok(!('id' in shared.items[0]));
+    assert.ok(!('buildId' in shared.items[0]));
+    assert.equal(shared.shareSlug, 'abcd1234');
+    assert.equal(shared.items[0].priceNow, 18000);
+    assert.equal(shared.pricing.totalNow, 18000);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const prisma = require('../../src/config/db');
+const ruleEngine = require('../../src/logic/RuleEngine');
+const swaps = require('../../src/logic/SwapService');
+
+const psu = (id, price, wattage, efficiency = 'Gold') => ({ id, brand: 'PSU', model: id, variant: null, price_current: price, psu: { wattage, efficiency } });
+
+test('nearest: sorted pool price se doori ke order mein', () => {
+    const pool = [10, 20, 30, 45, 60].map(price => ({ id: `p${price}`, price }));
+    assert.deepEqual([...swaps.nearest(pool, 32)].map(c => c.price), [30, 20, 45, 10, 60]);
+    assert.deepEqual([...swaps.nearest(pool, 100)].map(c => c.price), [60, 45, 30, 20, 10]);
+});
+
+test('loadSlot: current price ke window mein query, price asc', async () => {
+    let args = null;
+    prisma.component = { findMany: async (query) => { args = query; return [psu('a', 4000, 550)]; } };
+    await swaps.loadSlot('psu', { id: 'cur', price_current: 5000 }, 'gaming');
+    assert.deepEqual(args.where.OR, [{ price_current: { gt: 0, gte: 2500, lte: 10000 } }, { id: 'cur' }]);
+    assert.deepEqual(args.orderBy[0], { price_current: { sort: 'asc', nulls: 'first' } });
+
+    await swaps.loadSlot('psu', { id: 'cur', price_current: null }, 'gaming');
+    assert.deepEqual(args.where.OR[0], { price_current: { gt: 0 } });
+});
+
+// Pricier = upgrade (zyada utility), isliye same efficiency wala p600 skip
+test('suggest: nearest cheaper / pricier alternatives', async () => {
+    const rows = [psu('p450', 3000, 450), psu('p550', 4000, 550), psu('p600', 4500, 600), psu('p650', 5000, 650, 'Platinum'), psu('p750', 6500, 750, 'Platinum')];
+    prisma.component = { findMany: async () => rows };
+    prisma.compatibilityRule = { findMany: async () => [] };
+    ruleEngine.invalidate();
+
+    const result = await swaps.suggest({ psu: { id: 'p550', quantity: 1, meta: rows[1] } });
+    assert.equal(result.psu.cheaper.id, 'p450');
+    assert.equal(result.psu.cheaper.price_delta, -1000);
+    assert.equal(result.psu.pricier.id, 'p650');
+    assert.deepEqual(result.psu.pricier.forced_changes, []);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { aggregateSpec, ensureAggregated, coolerCapacity, estimatePower } = require('../../src/logic/buildSlots');
+
+const kit = { memory_type: 'DDR5', capacity_gb: 16, modules: 2, speed_mhz: 6000 };
+
+test('aggregateSpec: RAM kits -> totals, pehli unit ke fields', () => {
+    const spec = aggregateSpec('ram', [kit, kit]);
+    assert.equal(spec.memory_type, 'DDR5');
+    assert.equal(spec.quantity, 2);
+    assert.equal(spec.total_capacity_gb, 32);
+    assert.equal(spec.total_modules, 4);
+});
+
+test('aggregateSpec: storage m2_count sirf NVMe / M.2 drives', () => {
+    const spec = aggregateSpec('storage', [
+        { type: 'NVMe', capacity_gb: 1000 },
+        { type: 'M.2 SATA', capacity_gb: 500 },
+        { type: 'SATA SSD', capacity_gb: 2000 }
+    ]);
+    assert.equal(spec.total_capacity_gb, 3500);
+    assert.equal(spec.m2_count, 2);
+});
+
+test('aggregateSpec: single-unit slot / khaali list', () => {
+    const cpu = { socket: 'AM5' };
+    assert.equal(aggregateSpec('cpu', [cpu]), cpu);
+    assert.equal(aggregateSpec('ram', []), null);
+});
+
+test('ensureAggregated: quantity se units, aggregated spec waisa hi', () => {
+    const spec = ensureAggregated('ram', { ...kit, quantity: 3 });
+    assert.equal(spec.total_modules, 6);
+    assert.equal(spec.quantity, 3);
+
+    assert.equal(ensureAggregated('ram', spec), spec);
+    assert.equal(ensureAggregated('ram', kit).total_capacity_gb, 16);
+    assert.equal(ensureAggregated('ram', { ...kit, quantity: 0 }).quantity, 1);
+    assert.equal(ensureAggregated('gpu', { vram_gb: 8 }).quantity, undefined);
+});
+
+test('coolerCapacity: tdp_rating > radiator > height', () => {
+    assert.equal(coolerCapacity({ tdp_rating: 200, radiator_size: 360 }), 200);
+    assert.equal(coolerCapacity({ radiator_size: 240 }), 220);
+    assert.equal(coolerCapacity({ height_mm: 60 }), 65);
+    assert.equal(coolerCapacity({}), 120);
+});
+
+test('estimatePower: CPU + GPU + 100W', () => {
+    assert.equal(estimatePower({ cpu: { tdp_watts: 65 }, gpu: { tdp_watts: 200 } }), 365);
+    assert.equal(estimatePower({ cpu: null, gpu: null }), 100);
+});
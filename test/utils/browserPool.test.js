@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const pool = require('../../src/utils/browserPool');
+
+// Asli Puppeteer ki jagah fake browser / pages
+const fakePool = (maxPages) => {
+    const p = new pool.constructor({ maxPages });
+    const created = [];
+    const browser = {
+        connected: true,
+        newPage: async () => {
+            const page = {
+                closed: false,
+                isClosed() { return this.closed; },
+                close: async function () { this.closed = true; },
+                setExtraHTTPHeaders: async () => {}
+            };
+            created.push(page);
+            return page;
+        },
+        close: async () => { browser.connected = false; }
+    };
+    p.browser = browser;
+    return { p, created, browser };
+};
+
+test('acquire: maxPages ke baad wait, release slot hand over karta hai', async () => {
+    const { p } = fakePool(1);
+    const first = await p.acquire();
+
+    let second = null;
+    const waiting = p.acquire().then(page => { second = page; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(second, null);
+    assert.equal(p.waiters.length, 1);
+
+    p.release(first);
+    await waiting;
+    // Idle page reuse hota hai
+    assert.equal(second, first);
+    assert.equal(p.inUse, 1);
+
+    p.release(second);
+    assert.equal(p.inUse, 0);
+});
+
+test('withPage: error pe page discard, success pe reuse', async () => {
+    const { p, created } = fakePool(2);
+    await assert.rejects(p.withPage(async () => { throw new Error('nav failed'); }), /nav failed/);
+    assert.equal(created[0].closed, true);
+    assert.equal(p.idlePages.length, 0);
+
+    const result = await p.withPage(async (page) => { assert.notEqual(page, created[0]); return 'html'; });
+    assert.equal(result, 'html');
+    assert.equal(p.idlePages.length, 1);
+    assert.equal(p.inUse, 0);
+});
+
+test('closeIfIdle: page use mein ho to browser band nahi', async () => {
+    const { p, browser } = fakePool(2);
+    const page = await p.acquire();
+    assert.equal(await p.closeIfIdle(), false);
+
+    p.release(page);
+    assert.equal(await p.closeIfIdle(), true);
+    assert.equal(browser.connected, false);
+    assert.equal(p.browser, null);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { exportBuild, FORMATS } = require('../../src/utils/buildExporter');
+
+const build = (parts = {}, extra = {}) => ({
+    parts: {
+        cpu: { brand: 'AMD', model: 'Ryzen 5 7600', price_current: 18000, best_vendor: 'MDComputers', link: 'https://mdcomputers.in/p/7600' },
+        ram: { brand: 'Kingston', model: 'Fury 16GB', price_current: 4000, quantity: 2, best_vendor: 'Vedant', product_page: 'https://vedant.in/fury' },
+        gpu: { brand: 'Zotac', model: 'RTX 4060', price_current: 30000, owned: true },
+        ...parts
+    },
+    stock_cooler: true,
+    compatibility_status: { errors: [], warnings: ['Low Headroom'] },
+    ...extra
+});
+
+test('unknown format -> null', () => {
+    assert.equal(exportBuild(build(), 'pdf'), null);
+    assert.deepEqual(FORMATS, ['markdown', 'csv', 'text', 'bbcode']);
+});
+
+test('markdown: slot order, quantity, owned, stock cooler, total', () => {
+    const { body, contentType } = exportBuild(build(), 'markdown', { title: 'Mera build' });
+    assert.equal(contentType, 'text/markdown');
+    const lines = body.split('\n');
+    assert.equal(lines[0], '## Mera build');
+    assert.equal(lines[4], '| CPU | AMD Ryzen 5 7600 | MDComputers | ₹18,000 | [Buy](https://mdcomputers.in/p/7600) |');
+    assert.equal(lines[5], '| Memory | 2 x Kingston Fury 16GB | Vedant | ₹8,000 | [Buy](https://vedant.in/fury) |');
+    assert.equal(lines[6], '| Graphics Card | Zotac RTX 4060 |  | Owned |  |');
+    assert.equal(lines[7], '| CPU Cooler | Stock cooler (bundled with CPU) |  | Included |  |');
+    assert.equal(lines[8], '| **Total** | | | **₹26,000** | |');
+    assert.ok(body.includes('- Warning: Low Headroom'));
+});
+
+test('markdown: link markup nahi todta, text link nahi banta', () => {
+    const { body } = exportBuild(build({
+        cpu: { brand: 'AMD', model: '[free](https://evil) | x', price_current: 1, link: 'https://a.in/p?(q)=1 2' }
+    }), 'markdown');
+    assert.ok(body.includes('| AMD \\[free\\](https://evil) \\| x |'));
+    assert.ok(body.includes('[Buy](https://a.in/p?%28q%29=1%202)'));
+});
+
+test('non-http links drop ho jaate hain', () => {
+    const { body } = exportBuild(build({ cpu: { brand: 'AMD', model: 'X', price_current: 1, link: 'javascript:alert(1)' } }), 'markdown');
+    assert.ok(!body.includes('javascript:'));
+});
+
+test('csv: quoting + formula cells ke aage apostrophe', () => {
+    const { body } = exportBuild(build({
+        cpu: { brand: 'AMD', model: 'Ryzen, "5"', price_current: 18000, best_vendor: '=HYPERLINK("x")', link: '' }
+    }, { compatibility_status: { errors: ['-1 slot'], warnings: [] } }), 'csv');
+    const lines = body.split('\n');
+    assert.equal(lines[0], 'Slot,Part,Vendor,Price,Link');
+    assert.equal(lines[1], 'CPU,"AMD Ryzen, ""5""","\'=HYPERLINK(""x"")","₹18,000",');
+    assert.ok(lines.includes("Error,'-1 slot,,,"));
+    for (const prefix of ['+', '@']) {
+        const csv = exportBuild(build({ cpu: { brand: `${prefix}SUM`, model: '', price_current: 1 } }), 'csv').body;
+        assert.ok(csv.includes(`CPU,'${prefix}SUM,`));
+    }
+});
+
+test('bbcode: text mein tags nahi bante, url encode hota hai', () => {
+    const { body } = exportBuild(build({
+        cpu: { brand: 'AMD', model: '[url=https://evil]x[/url]', price_current: 1, best_vendor: '[b]', link: 'https://a.in/p]x' }
+    }), 'bbcode', { title: '[img]t[/img]' });
+    const z = '\u200b';
+    assert.ok(body.startsWith(`[b][${z}img${z}]t[${z}/img${z}][/b]`));
+    assert.ok(body.includes(`[url=https://a.in/p%5Dx]AMD [${z}url=https://evil${z}]x[${z}/url${z}][/url]`));
+    assert.ok(body.includes(`[td][${z}b${z}][/td]`));
+});
+
+test('text: ek line per part + link', () => {
+    const { body } = exportBuild(build(), 'text');
+    assert.ok(body.includes('CPU: AMD Ryzen 5 7600 - ₹18,000 (MDComputers)\n  https://mdcomputers.in/p/7600'));
+    assert.ok(body.includes('Total: ₹26,000'));
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sleep, withRetry, runWithConcurrency, DomainThrottle } = require('../../src/utils/taskRunner');
+
+test('withRetry: exponential backoff, maxDelayMs pe capped', async (t) => {
+    t.mock.method(Math, 'random', () => 0.5); // jitter = 1x
+    const delays = [];
+    let calls = 0;
+    const result = await withRetry(async (attempt) => {
+        calls++;
+        if (attempt < 3) throw new Error(`fail ${attempt}`);
+        return 'ok';
+    }, { retries: 3, baseDelayMs: 2, maxDelayMs: 5, onRetry: (error, attempt, delay) => delays.push([attempt, delay]) });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 4);
+    assert.deepEqual(delays, [[1, 2], [2, 4], [3, 5]]);
+});
+
+test('withRetry: retries khatam -> aakhri error', async () => {
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => { calls++; throw new Error('down'); }, { retries: 2, baseDelayMs: 1 }),
+        /down/
+    );
+    assert.equal(calls, 3);
+});
+
+test('withRetry: shouldRetry false -> turant throw', async () => {
+    let calls = 0;
+    const notFound = Object.assign(new Error('404'), { status: 404 });
+    await assert.rejects(
+        withRetry(async () => { calls++; throw notFound; }, { retries: 5, baseDelayMs: 1, shouldRetry: (e) => e.status !== 404 }),
+        /404/
+    );
+    assert.equal(calls, 1);
+});
+
+test('withRetry: backoff ke dauraan abort -> AbortError, aur retry nahi', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const run = withRetry(async () => { calls++; throw new Error('flaky'); }, { retries: 5, baseDelayMs: 10000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 5);
+    await assert.rejects(run, { name: 'AbortError' });
+    assert.equal(calls, 1);
+
+    await assert.rejects(withRetry(async () => 'never', { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('sleep: pehle se aborted signal -> reject', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(sleep(10, controller.signal), { name: 'AbortError' });
+});
+
+test('runWithConcurrency: limit se zyada workers ek saath nahi', async () => {
+    let active = 0;
+    let peak = 0;
+    const done = [];
+    await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+        active++;
+        peak = Math.max(peak, active);
+        await sleep(2);
+        done.push(item);
+        active--;
+    });
+    assert.equal(peak, 3);
+    assert.deepEqual(done.sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('runWithConcurrency: abort ke baad naye items start nahi hote', async () => {
+    const controller = new AbortController();
+    const started = [];
+    await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+        started.push(item);
+        if (item === 2) controller.abort();
+        await sleep(1);
+    }, { signal: controller.signal });
+    assert.deepEqual(started, [1, 2]);
+});
+
+test('runWithConcurrency: khaali list', async () => {
+    await runWithConcurrency([], 4, async () => assert.fail('worker nahi chalna chahiye'));
+});
+
+test('DomainThrottle: same key pe interval ka gap, alag key block nahi', async () => {
+    const throttle = new DomainThrottle(50);
+    const start = Date.now();
+    const at = {};
+    await Promise.all([
+        throttle.wait('md').then(() => { at.md1 = Date.now() - start; }),
+        throttle.wait('md').then(() => { at.md2 = Date.now() - start; }),
+        throttle.wait('md').then(() => { at.md3 = Date.now() - start; }),
+        throttle.wait('vedant').then(() => { at.vedant = Date.now() - start; })
+    ]);
+    assert.ok(at.md1 < 40, `md1 ${at.md1}`);
+    assert.ok(at.md2 >= 45, `md2 ${at.md2}`);
+    assert.ok(at.md3 >= 95, `md3 ${at.md3}`);
+    assert.ok(at.vedant < 40, `vedant ${at.vedant}`);
+});
+
+test('DomainThrottle: per-call interval', async () => {
+    const throttle = new DomainThrottle(1000);
+    const start = Date.now();
+    await throttle.wait('x', 5);
+    await throttle.wait('x', 5);
+    assert.ok(Date.now() - start < 500);
+});
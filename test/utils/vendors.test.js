@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    parseProductHtml,
+    parseSpecsHtml,
+    parsePrice,
+    getAdapter,
+    registerAdapter,
+    UnsupportedVendorError
+} = require('../../src/utils/vendors');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/vendors', `${name}.html`), 'utf8');
+
+const CASES = [
+    {
+        vendor: 'mdcomputers',
+        url: 'https://mdcomputers.in/amd-ryzen-5-7600',
+        product: { title: 'AMD Ryzen 5 7600 Desktop Processor', price: 18799, inStock: true },
+        specs: { socket: 'AM5', no__of_cores: '6', no__of_threads: '12', base_clock: '3.8 GHz', max_boost_clock: '5.1 GHz', default_tdp: '65W' }
+    },
+    {
+        vendor: 'vedant',
+        url: 'https://www.vedantcomputers.com/corsair-vengeance-32gb-ddr5-6000',
+        product: { title: 'Corsair Vengeance 32GB (2x16GB) DDR5 6000MHz', price: 10450, inStock: true },
+        specs: { memory_type: 'DDR5', capacity: '32GB (2 x 16GB)', speed: '6000MHz', cas_latency: '36' }
+    },
+    {
+        vendor: 'primeabgb',
+        url: 'https://www.primeabgb.com/online-price-reviews-india/msi-rtx-4060-ventus-2x-black-8g-oc/',
+        product: { title: 'MSI GeForce RTX 4060 Ventus 2X Black 8G OC Graphics Card', price: 28499, inStock: true },
+        specs: { chipset: 'GeForce RTX 4060', memory_size: '8GB', card_length: '199 mm', recommended_psu: '550W' }
+    },
+    {
+        vendor: 'elitehubs',
+        url: 'https://elitehubs.com/product/deepcool-pk750d/',
+        product: { title: 'Deepcool PK750D 750W 80 Plus Bronze Power Supply', price: 5650, inStock: false },
+        specs: { wattage: '750W', efficiency: '80 Plus Bronze', modular: 'Non Modular' }
+    }
+];
+
+for (const c of CASES) {
+    test(`${c.vendor}: product page fixture`, () => {
+        const parsed = parseProductHtml(c.url, fixture(c.vendor));
+        assert.equal(parsed.vendor, c.vendor);
+        assert.equal(parsed.title, c.product.title);
+        assert.equal(parsed.price, c.product.price);
+        assert.equal(parsed.inStock, c.product.inStock);
+        assert.equal(parsed.priceFound, true);
+    });
+
+    test(`${c.vendor}: spec table fixture`, () => {
+        assert.deepEqual(parseSpecsHtml(c.url, fixture(c.vendor)), c.specs);
+    });
+}
+
+test('unknown domain -> UnsupportedVendorError', () => {
+    assert.throws(
+        () => parseProductHtml('https://unknown-store.example/p/1', fixture('mdcomputers')),
+        (error) => error instanceof UnsupportedVendorError && error.code === 'UNSUPPORTED_VENDOR'
+    );
+    assert.throws(() => getAdapter('not a url'), UnsupportedVendorError);
+});
+
+test('unknown domain spec page -> generic table parser (poore page ki 2-column rows)', () => {
+    const specs = parseSpecsHtml('https://unknown-store.example/p/1', fixture('mdcomputers'));
+    assert.equal(specs.socket, 'AM5');
+    assert.equal(specs.call_us, '+91 33 4001 2345');
+});
+
+test('price selector miss -> priceFound false', () => {
+    const parsed = parseProductHtml('https://mdcomputers.in/x', '<html><head><title>Item</title></head><body></body></html>');
+    assert.equal(parsed.priceFound, false);
+    assert.equal(parsed.price, 0);
+    assert.equal(parsed.title, 'Item');
+});
+
+test('subdomain bhi adapter se match hota hai', () => {
+    assert.equal(getAdapter('https://www.mdcomputers.in/x').id, 'mdcomputers');
+});
+
+test('registerAdapter: title / price / spec extractors zaroori', () => {
+    assert.throws(
+        () => registerAdapter({ id: 'half', domains: ['half.example'], extract: () => ({}) }),
+        /missing extractTitle, extractSpecs/
+    );
+});
+
+test('parsePrice', () => {
+    assert.equal(parsePrice('₹18,799'), 18799);
+    assert.equal(parsePrice('₹5,650.00'), 5650);
+    assert.equal(parsePrice('₹33,000 ₹28,499'), 28499);
+    assert.equal(parsePrice('Call for price'), 0);
+    assert.equal(parsePrice(null), 0);
+});